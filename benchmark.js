@@ -0,0 +1,210 @@
+// Logging throughput benchmark
+//
+//   node benchmark.js                       Measure the working tree
+//   node benchmark.js --baseline HEAD~1     Also measure a git revision, side by side
+//   node benchmark.js --entries 100000      Entries per run (default 50000)
+//
+// Each implementation runs in its own process and every scenario runs three times, keeping the
+// fastest. "logging" is the time spent in the log calls, "total" also waits for the transports to
+// finish writing. The worker transport only pays off with a spare CPU core for the worker.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { performance } from 'perf_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+const repoDir = path.dirname(fileURLToPath(import.meta.url));
+
+const { values } = parseArgs({
+    options: {
+        baseline: { type: 'string' },
+        entries: { type: 'string', default: '50000' },
+        run: { type: 'string' } // Internal: measure one module and print JSON
+    }
+});
+
+// Wait for a file transport to finish writing, whether or not its close() returns a promise
+function closeTransport(transport) {
+    if (typeof transport === 'string') {
+        return Promise.resolve();
+    }
+    const result = transport.close();
+    if (result && typeof result.then === 'function') {
+        return result;
+    }
+    return new Promise(resolve => (transport.stream.writableFinished ? resolve() : transport.stream.on('finish', resolve)));
+}
+
+// Scenarios: logger options, the level to log at and a fresh transport for each run
+function getScenarios(dbg, dir) {
+    const file = (name) => new dbg.FileTransport(path.join(dir, name), { format: 'json' });
+    const scenarios = [
+        {
+            name: 'below minLevel',
+            options: { minLevel: 'warn', showSourceLocation: true },
+            level: 'debug',
+            create: () => 'console' // Nothing reaches it
+        },
+        {
+            name: 'file, json',
+            options: { minLevel: 'info', showSourceLocation: false },
+            level: 'info',
+            create: () => file('json.log')
+        },
+        {
+            name: 'file, json, source location',
+            options: { minLevel: 'info', showSourceLocation: true },
+            level: 'info',
+            create: () => file('source.log')
+        }
+    ];
+
+    // Older versions have no worker transport
+    if (dbg.WorkerTransport) {
+        scenarios.push({
+            name: 'worker file, json, source location',
+            options: { minLevel: 'info', showSourceLocation: true },
+            level: 'info',
+            create: () => new dbg.WorkerTransport({ transports: [{ type: 'file', path: path.join(dir, 'worker.log'), format: 'json' }] })
+        });
+    }
+    return scenarios;
+}
+
+// Best of three runs of a scenario, in entries per second
+async function measureScenario(dbg, scenario, entries) {
+    const metadata = { user: { id: 42, roles: ['admin'] }, path: '/users' };
+    const result = { name: scenario.name, logging: 0, total: 0 };
+
+    for (let run = 0; run < 3; run++) {
+        const transport = scenario.create();
+        dbg.setOptions({ ...scenario.options, transports: [transport] });
+
+        // Warm up before measuring
+        for (let i = 0; i < 1000; i++) {
+            dbg[scenario.level]('Request handled', { ...metadata, requestId: i });
+        }
+
+        const start = performance.now();
+        for (let i = 0; i < entries; i++) {
+            dbg[scenario.level]('Request handled', { ...metadata, requestId: i });
+        }
+        const logged = performance.now();
+        await closeTransport(transport);
+        const finished = performance.now();
+
+        result.logging = Math.max(result.logging, Math.round(entries / ((logged - start) / 1000)));
+        result.total = Math.max(result.total, Math.round(entries / ((finished - start) / 1000)));
+    }
+    return result;
+}
+
+// Measure every scenario against one implementation of the logger
+async function runModule(modulePath, entries) {
+    const { default: dbg } = await import(pathToFileURL(modulePath).href);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'console-genius-bench-'));
+    const results = [];
+
+    try {
+        for (const scenario of getScenarios(dbg, dir)) {
+            try {
+                results.push(await measureScenario(dbg, scenario, entries));
+            } catch (err) {
+                // Older versions may not support every scenario
+                results.push({ name: scenario.name, error: err.message });
+            }
+        }
+    } finally {
+        dbg.setOptions({ transports: ['console'] });
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    return results;
+}
+
+// Longest a single implementation may take for all of its scenarios
+const runTimeout = 5 * 60 * 1000;
+
+// Measure a module in a fresh process
+function measure(modulePath, entries) {
+    let output;
+    try {
+        output = execFileSync(process.execPath, [fileURLToPath(import.meta.url), '--run', modulePath, '--entries', String(entries)], {
+            cwd: repoDir,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'inherit'],
+            timeout: runTimeout
+        });
+    } catch (err) {
+        if (err.code === 'ETIMEDOUT') {
+            throw new Error(`${modulePath} did not finish within ${runTimeout / 60000} minutes`);
+        }
+        throw err;
+    }
+    return JSON.parse(output.trim().split('\n').pop());
+}
+
+// Copy the top-level modules of a git revision to a temporary directory that resolves this
+// repo's node_modules, and return the path of its index.js
+function checkoutBaseline(ref, dir) {
+    const files = execFileSync('git', ['ls-tree', '--name-only', ref], { cwd: repoDir, encoding: 'utf8' })
+        .split('\n')
+        .filter(file => file.endsWith('.js'));
+    if (!files.includes('index.js')) {
+        throw new Error(`${ref} has no index.js`);
+    }
+
+    files.forEach(file => {
+        fs.writeFileSync(path.join(dir, file), execFileSync('git', ['show', `${ref}:${file}`], { cwd: repoDir }));
+    });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+    fs.symlinkSync(path.join(repoDir, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+    return path.join(dir, 'index.js');
+}
+
+async function main() {
+    const entries = Number(values.entries);
+    if (!Number.isInteger(entries) || entries <= 0) {
+        throw new Error(`Invalid value for --entries: ${values.entries}`);
+    }
+
+    if (values.run) {
+        const results = await runModule(values.run, entries);
+        // Older versions keep timers running, so the process would not end on its own
+        process.stdout.write(`${JSON.stringify(results)}\n`, () => process.exit(0));
+        return;
+    }
+
+    const columns = [['current', measure(path.join(repoDir, 'index.js'), entries)]];
+
+    if (values.baseline) {
+        const baselineDir = fs.mkdtempSync(path.join(os.tmpdir(), 'console-genius-baseline-'));
+        try {
+            columns.push([values.baseline, measure(checkoutBaseline(values.baseline, baselineDir), entries)]);
+        } finally {
+            fs.rmSync(baselineDir, { recursive: true, force: true });
+        }
+    }
+
+    // Entries per second, logging thread time / total time
+    const names = columns[0][1].map(result => result.name);
+    const rows = [['scenario', ...columns.map(([label]) => `${label} (logging / total)`)]];
+    names.forEach(name => {
+        rows.push([name, ...columns.map(([, results]) => {
+            const result = results.find(entry => entry.name === name);
+            if (!result) return 'n/a';
+            if (result.error) return `failed: ${result.error}`;
+            return `${result.logging.toLocaleString()} / ${result.total.toLocaleString()}`;
+        })]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    console.log(`${entries.toLocaleString()} entries per run, entries per second\n`);
+    rows.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ')));
+}
+
+main().catch((err) => {
+    console.error(`benchmark: ${err.message}`);
+    process.exit(1);
+});
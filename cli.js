@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import zlib from 'zlib';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { createLogger } from './logger.js';
+
+// Unconfigured logger: the CLI ignores the config file and environment of the project it runs in
+const dbg = createLogger({ transports: [] });
+
+const usage = `Usage: console-genius <command> [options] [files...]
+
+Commands:
+  pretty [files...]      Render NDJSON logs (stdin when no files are given) in the console layout
+  filter [files...]      Print the NDJSON lines that match the filters
+  tail [-f] <file>       Print the last lines of a log file, -f follows it across rotations
+  stats [files...]       Count entries per level and namespace and list the most repeated errors
+
+Filters:
+  -l, --level <level>        Minimum level
+  -n, --namespace <globs>    Namespace globs, as in enabledNamespaces (db:*,-db:noise,http=warn)
+  --since <time>             ISO date, epoch milliseconds or a duration ago (15m, 2h, 1d)
+  --until <time>             Same formats as --since
+  -w, --where <condition>    Metadata field condition: path=value, path!=value or path (repeatable)
+
+Display (pretty, tail):
+  --format <format>          Format string, 'pretty' (default) or 'json'
+  --theme <theme>            default, monochrome or high-contrast
+  --no-color                 Turn off colors
+  --no-emoji                 Turn off level badges
+
+Other:
+  --lines <count>            Lines printed by tail before following (default 10)
+  --top <count>              Repeated errors listed by stats (default 5)
+  --json                     Print stats as JSON
+  -h, --help                 Show this help
+`;
+
+const argOptions = {
+    level: { type: 'string', short: 'l' },
+    namespace: { type: 'string', short: 'n' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    where: { type: 'string', short: 'w', multiple: true },
+    format: { type: 'string' },
+    theme: { type: 'string' },
+    'no-color': { type: 'boolean' },
+    'no-emoji': { type: 'boolean' },
+    follow: { type: 'boolean', short: 'f' },
+    lines: { type: 'string' },
+    top: { type: 'string' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// Parse a positive integer option
+function parseCount(value, name, fallback) {
+    if (value === undefined) return fallback;
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid value for --${name}: expected a whole number, got ${value}`);
+    }
+    return count;
+}
+
+// Parse an NDJSON line, or null when it is not a JSON object
+function parseLine(line) {
+    try {
+        const record = JSON.parse(line);
+        return record !== null && typeof record === 'object' && !Array.isArray(record) ? record : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Lines of the given files (gzipped rotations included) or of stdin, in order
+async function* readLines(files) {
+    const sources = files.length > 0 ? files : ['-'];
+    for (const file of sources) {
+        let input = file === '-' ? process.stdin : fs.createReadStream(file);
+        if (file.endsWith('.gz')) {
+            input = input.pipe(zlib.createGunzip());
+        }
+
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        for await (const line of lines) {
+            yield line;
+        }
+    }
+}
+
+// Logger used to render records, set up from the display options
+function createRenderer(values) {
+    return dbg.createLogger({
+        format: values.format || 'pretty',
+        theme: values.theme || 'default',
+        ...(values['no-color'] ? { color: false } : {}),
+        ...(values['no-emoji'] ? { enableEmoji: false } : {}),
+        transports: []
+    });
+}
+
+// Write a line, rendering it when a renderer is given (lines that are not JSON pass through unchanged)
+function printLine(line, matches, renderer) {
+    const record = parseLine(line);
+    if (!record) {
+        if (renderer && line.trim() !== '') {
+            process.stdout.write(`${line}\n`);
+        }
+        return;
+    }
+    if (matches(record)) {
+        process.stdout.write(`${renderer ? renderer.formatRecord(record) : line}\n`);
+    }
+}
+
+async function runPretty(files, matches, values) {
+    const renderer = createRenderer(values);
+    for await (const line of readLines(files)) {
+        printLine(line, matches, renderer);
+    }
+}
+
+async function runFilter(files, matches) {
+    for await (const line of readLines(files)) {
+        printLine(line, matches, null);
+    }
+}
+
+// Print the last lines of a file, then with --follow keep printing what is appended, reopening
+// the path when the file is rotated (renamed or replaced) or truncated
+async function runTail(files, matches, values) {
+    if (files.length !== 1 || files[0] === '-') {
+        throw new Error('tail takes exactly one file');
+    }
+
+    const filePath = files[0];
+    const renderer = createRenderer(values);
+    const lineCount = parseCount(values.lines, 'lines', 10);
+
+    let fd = fs.openSync(filePath, 'r');
+    let { ino, size: position } = fs.fstatSync(fd);
+    let partial = '';
+
+    // Last lines that already exist, from at most the last megabyte
+    const start = Math.max(position - 1024 * 1024, 0);
+    const tailChunk = Buffer.alloc(position - start);
+    fs.readSync(fd, tailChunk, 0, tailChunk.length, start);
+    const existing = tailChunk.toString('utf8').split('\n');
+    if (start > 0) {
+        existing.shift(); // Cut off mid-line
+    }
+    if (existing[existing.length - 1] === '') {
+        existing.pop();
+    } else {
+        partial = existing.pop();
+    }
+    existing.slice(Math.max(existing.length - lineCount, 0)).forEach(line => printLine(line, matches, renderer));
+
+    if (!values.follow) {
+        fs.closeSync(fd);
+        if (partial) printLine(partial, matches, renderer);
+        return;
+    }
+
+    // Read everything appended to the open file since the last poll
+    const readAppended = () => {
+        const { size } = fs.fstatSync(fd);
+        if (size < position) {
+            // Truncated in place
+            position = 0;
+            partial = '';
+        }
+        if (size === position) return;
+
+        const chunk = Buffer.alloc(size - position);
+        fs.readSync(fd, chunk, 0, chunk.length, position);
+        position = size;
+
+        const lines = (partial + chunk.toString('utf8')).split('\n');
+        partial = lines.pop();
+        lines.forEach(line => printLine(line, matches, renderer));
+    };
+
+    await new Promise((resolve) => {
+        const poll = setInterval(() => {
+            try {
+                readAppended();
+
+                // A different file at the path means the old one was rotated away
+                let current = null;
+                try {
+                    current = fs.statSync(filePath);
+                } catch (err) {
+                    return; // Between the rename and the new file being created
+                }
+                if (current.ino !== ino) {
+                    if (partial) printLine(partial, matches, renderer);
+                    fs.closeSync(fd);
+                    fd = fs.openSync(filePath, 'r');
+                    ({ ino } = fs.fstatSync(fd));
+                    position = 0;
+                    partial = '';
+                    readAppended();
+                }
+            } catch (err) {
+                console.error(`console-genius: ${err.message}`);
+                clearInterval(poll);
+                resolve();
+            }
+        }, 250);
+
+        process.once('SIGINT', () => {
+            clearInterval(poll);
+            resolve();
+        });
+    });
+}
+
+// Signature grouping repeated errors: namespace, message and the error's own message
+function getRecordErrorSignature(record) {
+    const metadata = record.metadata || {};
+    const error = metadata.err || metadata;
+    const errorMessage = error && typeof error === 'object' && typeof error.message === 'string' ? error.message : '';
+    return JSON.stringify([record.namespace || 'default', record.msg, errorMessage]);
+}
+
+async function runStats(files, matches, values) {
+    const top = parseCount(values.top, 'top', 5);
+    const errorLevel = dbg.createRecordFilter({ level: 'error' });
+    const stats = { total: 0, skipped: 0, from: null, to: null, levels: {}, namespaces: {}, errors: [] };
+    const errors = new Map();
+
+    for await (const line of readLines(files)) {
+        const record = parseLine(line);
+        if (!record) {
+            if (line.trim() !== '') stats.skipped++;
+            continue;
+        }
+        if (!matches(record)) continue;
+
+        stats.total++;
+        const level = String(record.level);
+        const namespace = record.namespace || 'default';
+        stats.levels[level] = (stats.levels[level] || 0) + 1;
+        stats.namespaces[namespace] = (stats.namespaces[namespace] || 0) + 1;
+        if (record.time && (!stats.from || record.time < stats.from)) stats.from = record.time;
+        if (record.time && (!stats.to || record.time > stats.to)) stats.to = record.time;
+
+        if (errorLevel(record)) {
+            const signature = getRecordErrorSignature(record);
+            const entry = errors.get(signature) || { count: 0, level, namespace, msg: record.msg, error: null, lastSeen: null };
+            const metadata = record.metadata || {};
+            const error = metadata.err || metadata;
+            entry.count++;
+            entry.error = error && typeof error.message === 'string' ? error.message : null;
+            entry.lastSeen = record.time || entry.lastSeen;
+            errors.set(signature, entry);
+        }
+    }
+
+    stats.errors = [...errors.values()].sort((a, b) => b.count - a.count).slice(0, top);
+
+    if (values.json) {
+        process.stdout.write(`${JSON.stringify(stats, null, 2)}\n`);
+        return;
+    }
+
+    const byCount = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    const table = (rows) => {
+        const width = Math.max(...rows.map(([name]) => name.length));
+        return rows.map(([name, count]) => `  ${name.padEnd(width)}  ${count}`).join('\n');
+    };
+
+    const lines = [`${stats.total} entries${stats.from ? ` from ${stats.from} to ${stats.to}` : ''}`];
+    if (stats.skipped > 0) {
+        lines.push(`${stats.skipped} lines were not JSON and were skipped`);
+    }
+    if (stats.total > 0) {
+        lines.push('', 'Levels', table(byCount(stats.levels)));
+        lines.push('', 'Namespaces', table(byCount(stats.namespaces)));
+    }
+    if (stats.errors.length > 0) {
+        lines.push('', 'Top errors');
+        stats.errors.forEach(({ count, level, namespace, msg, error }) => {
+            const where = namespace === 'default' ? '' : ` [${namespace}]`;
+            lines.push(`  ${count}x [${level.toUpperCase()}]${where} ${msg}${error && error !== msg ? `: ${error}` : ''}`);
+        });
+    }
+    process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+const commands = {
+    pretty: runPretty,
+    filter: runFilter,
+    tail: runTail,
+    stats: runStats
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: argOptions, allowPositionals: true });
+    const [command, ...files] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(usage);
+        return values.help ? 0 : 1;
+    }
+    if (!commands[command]) {
+        throw new Error(`Unknown command "${command}" (${Object.keys(commands).join(', ')})`);
+    }
+
+    const matches = dbg.createRecordFilter({
+        level: values.level || null,
+        namespaces: values.namespace || null,
+        since: values.since || null,
+        until: values.until || null,
+        where: values.where || []
+    });
+
+    await commands[command](files, matches, values);
+    return 0;
+}
+
+// Output piped into head and the like may close early
+process.stdout.on('error', (err) => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+});
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch((err) => {
+        console.error(`console-genius: ${err.message}`);
+        process.exit(1);
+    });
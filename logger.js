@@ -0,0 +1,4138 @@
+import chalk from 'chalk';
+import prettyMs from 'pretty-ms';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+
+// The colored console layout ('pretty')
+const prettyFormat = '${emoji} ${level} ${timestamp} ${source} +${timeDiff} - ${message} ${metadata}';
+
+// Default options for new loggers
+const defaultOptions = {
+    showTimestamp: true,
+    logToFile: false,
+    defaultLevel: 'info',
+    showSourceLocation: true,
+    enableEmoji: 'auto',     // true, false, or 'auto' for ASCII badges where emoji are not supported
+    color: 'auto',           // 'auto' detects the color depth, true forces colors on, false (or NO_COLOR) turns them off
+    theme: 'default',        // 'default', 'monochrome', 'high-contrast' or a theme object
+    minLevel: 'info',        // Minimum level to display
+    enabledNamespaces: '*',  // Namespace globs (like debug.js), '-' excludes, '=level' overrides minLevel: 'db:*=debug,-db:noise,*'
+    transports: ['console'],  // Default to console transport only
+    format: prettyFormat,    // 'pretty', 'json' for NDJSON output, or a format string
+    formatFn: null,  // Allow custom formatter function
+    deduplicateErrors: false,
+    errorWindowMs: 60000, // 1 minute window for deduplication
+    maxDuplicateCount: 5,  // After this many duplicates, show summary instead
+    serialize: {             // Limits applied when metadata is turned into text or JSON
+        maxDepth: 10,
+        maxArrayLength: 100,
+        maxStringLength: 10000
+    },
+    histogramBuckets: [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000],
+    timerBuckets: [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000], // milliseconds
+    redact: null,  // { paths: ['*.password'], patterns: [/\b\d{16}\b/], censor: '[REDACTED]' }
+    flightRecorder: null,  // { size: 200, perNamespace: false, dumpLevel: 'error', file: null, attach: false }
+    sampling: null  // { rules: [{ namespaces: 'db', levels: ['info'], sampleRate: 1, maxPerSecond: 100 }], summaryInterval: 10000 }
+};
+
+// Built-in log levels and their severities (dbg.addLevel registers more)
+const logLevels = {
+    trace: 10,
+    return: 10,   // Return values of traced functions, filtered like trace
+    debug: 20,
+    info: 30,
+    success: 35,
+    warn: 40,
+    error: 50,
+    fatal: 60
+};
+
+// Built-in themes: a chalk style, emoji and ASCII badge per level, and styles for other parts
+const themes = {
+    default: {
+        levels: {
+            trace: { color: 'cyan', emoji: '📌', ascii: '.' },
+            return: { color: 'green', emoji: '✅', ascii: '<' },
+            debug: { color: 'magenta', emoji: '🟣', ascii: '#' },
+            info: { color: 'blue', emoji: '🔵', ascii: 'i' },
+            success: { color: 'green', emoji: '🟢', ascii: '+' },
+            warn: { color: 'yellow', emoji: '🟡', ascii: '!' },
+            error: { color: 'red', emoji: '🔴', ascii: 'x' },
+            fatal: { color: 'bgRed.white', emoji: '⚫', ascii: 'X' }
+        },
+        source: 'gray',
+        group: 'bold'
+    },
+    // Text attributes only, for terminals where colors are hard to read
+    monochrome: {
+        levels: {
+            trace: 'dim',
+            return: 'dim',
+            debug: 'dim',
+            info: null,
+            success: null,
+            warn: 'bold',
+            error: 'bold',
+            fatal: 'inverse.bold'
+        },
+        source: 'dim',
+        group: 'bold'
+    },
+    'high-contrast': {
+        levels: {
+            trace: 'whiteBright',
+            return: 'greenBright',
+            debug: 'magentaBright',
+            info: 'cyanBright.bold',
+            success: 'greenBright.bold',
+            warn: 'black.bgYellowBright',
+            error: 'whiteBright.bgRed.bold',
+            fatal: 'redBright.bgWhiteBright.bold'
+        },
+        source: 'white',
+        group: 'bold.underline'
+    }
+};
+
+// Turn a chalk style name such as 'bgRed.white' (a function, or null for none) into a style function
+function toStyle(colorizer, color) {
+    if (typeof color === 'function') return color;
+    if (!color) return (text) => text;
+
+    const style = String(color).split('.').reduce((chain, key) => (chain ? chain[key] : undefined), colorizer);
+    if (typeof style !== 'function') {
+        throw new Error(`Unknown color "${color}"`);
+    }
+    return style;
+}
+
+// Resolve a theme name or object (extending a built-in theme, 'default' unless given) into per-level styles
+function resolveTheme(theme) {
+    if (typeof theme === 'string') {
+        if (!themes[theme]) {
+            throw new Error(`Unknown theme "${theme}" (${Object.keys(themes).join(', ')})`);
+        }
+        theme = themes[theme];
+    }
+
+    const base = theme === themes.default ? { levels: {} } : resolveTheme(theme.extends || 'default');
+    const levels = { ...base.levels };
+    Object.entries(theme.levels || {}).forEach(([level, style]) => {
+        // A string (or null) is shorthand for just the color
+        levels[level] = { ...levels[level], ...(typeof style === 'string' || style === null ? { color: style } : style) };
+    });
+
+    const resolved = {
+        levels,
+        source: theme.source !== undefined ? theme.source : base.source,
+        group: theme.group !== undefined ? theme.group : base.group
+    };
+
+    // Check every style name up front
+    [...Object.values(levels).map(style => style.color), resolved.source, resolved.group].forEach(color => toStyle(chalk, color));
+    return resolved;
+}
+
+// Color depth for a stream (0 none, 1 basic, 2 256 colors, 3 truecolor), honoring FORCE_COLOR and NO_COLOR
+function detectColorLevel(stream = process.stdout, env = process.env) {
+    if (env.FORCE_COLOR !== undefined) {
+        if (env.FORCE_COLOR === '0' || env.FORCE_COLOR === 'false') return 0;
+        const forced = Number(env.FORCE_COLOR);
+        return forced >= 1 ? Math.min(Math.floor(forced), 3) : 1;
+    }
+    if (env.NO_COLOR !== undefined && env.NO_COLOR !== '') {
+        return 0;
+    }
+    if (!stream || !stream.isTTY || env.TERM === 'dumb') {
+        return 0;
+    }
+
+    const depth = typeof stream.getColorDepth === 'function' ? stream.getColorDepth(env) : 4;
+    return depth >= 24 ? 3 : depth >= 8 ? 2 : depth >= 4 ? 1 : 0;
+}
+
+// Whether a stream can be expected to render emoji (pipes, CI logs and bare consoles get ASCII)
+function detectEmojiSupport(stream = process.stdout, env = process.env) {
+    if (!stream || !stream.isTTY || env.TERM === 'dumb' || env.TERM === 'linux') {
+        return false;
+    }
+    if (process.platform === 'win32') {
+        // The legacy console host cannot draw emoji, Windows Terminal and VS Code can
+        return Boolean(env.WT_SESSION || env.TERM_PROGRAM === 'vscode');
+    }
+    return true;
+}
+
+// Per-request context carried across async calls
+const contextStorage = new AsyncLocalStorage();
+
+// Capture the call stack above fn; V8 only formats it when .stack is first read
+function captureCallSite(fn) {
+    const callSite = {};
+    Error.captureStackTrace(callSite, fn);
+    return callSite;
+}
+
+// "file:line" of the first frame in a captured call stack outside this module and Node's internals
+function getCallerInfo(callSite) {
+    // Read the frames as structured call sites instead of formatting the whole stack
+    const prepareStackTrace = Error.prepareStackTrace;
+    Error.prepareStackTrace = (error, frames) => frames;
+    let frames;
+    try {
+        frames = callSite.stack;
+    } finally {
+        Error.prepareStackTrace = prepareStackTrace;
+    }
+    if (!Array.isArray(frames)) {
+        return '';
+    }
+
+    for (const frame of frames) {
+        const fileName = frame.getFileName();
+        if (!fileName || fileName === import.meta.url || fileName.startsWith('node:')) {
+            continue;
+        }
+        return `${fileName.split(/[\\/]/).pop()}:${frame.getLineNumber() || '?'}`;
+    }
+    return '';
+}
+
+// Turn any value into something JSON.stringify can handle, within the configured limits
+function serialize(value, limits = defaultOptions.serialize) {
+    return serializeNode(value, 0, new Set(), { maxDepth: 10, maxArrayLength: 100, maxStringLength: 10000, ...limits });
+}
+
+function serializeNode(value, depth, seen, limits) {
+    switch (typeof value) {
+        case 'string':
+            return value.length > limits.maxStringLength
+                ? `${value.slice(0, limits.maxStringLength)}... ${value.length - limits.maxStringLength} more characters`
+                : value;
+        case 'bigint':
+            return `${value}n`;
+        case 'symbol':
+            return value.toString();
+        case 'function':
+            return `[Function: ${value.name || 'anonymous'}]`;
+        case 'object':
+            break;
+        default:
+            return value;
+    }
+
+    if (value === null) return null;
+    if (seen.has(value)) return '[Circular]';
+
+    if (value instanceof Date) {
+        return isNaN(value) ? 'Invalid Date' : value.toISOString();
+    }
+    if (value instanceof RegExp) {
+        return value.toString();
+    }
+    if (Buffer.isBuffer(value)) {
+        const preview = value.subarray(0, 50).toString('hex').replace(/(..)(?!$)/g, '$1 ');
+        return `<Buffer ${preview}${value.length > 50 ? ' ...' : ''}> (${value.length} bytes)`;
+    }
+
+    if (depth >= limits.maxDepth) {
+        return Array.isArray(value) ? '[Array]' : `[${value.constructor && value.constructor.name || 'Object'}]`;
+    }
+
+    seen.add(value);
+    const child = (item) => serializeNode(item, depth + 1, seen, limits);
+    let result;
+
+    if (value instanceof Error) {
+        result = { name: value.name, message: value.message, stack: value.stack };
+        if (value.code !== undefined) result.code = child(value.code);
+        Object.keys(value).forEach(key => {
+            if (!(key in result)) result[key] = child(value[key]);
+        });
+        if (value.cause !== undefined) result.cause = child(value.cause);
+        if (Array.isArray(value.errors)) result.errors = child(value.errors);
+    } else if (Array.isArray(value) || value instanceof Set || ArrayBuffer.isView(value)) {
+        const items = Array.from(value);
+        result = items.slice(0, limits.maxArrayLength).map(child);
+        if (items.length > limits.maxArrayLength) {
+            result.push(`... ${items.length - limits.maxArrayLength} more items`);
+        }
+    } else if (value instanceof Map) {
+        result = {};
+        Array.from(value.entries()).slice(0, limits.maxArrayLength).forEach(([key, item]) => {
+            result[typeof key === 'object' && key !== null ? JSON.stringify(child(key)) : String(key)] = child(item);
+        });
+        if (value.size > limits.maxArrayLength) {
+            result['...'] = `${value.size - limits.maxArrayLength} more entries`;
+        }
+    } else if (typeof value.toJSON === 'function') {
+        result = child(value.toJSON());
+    } else {
+        result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = child(value[key]);
+        });
+    }
+
+    seen.delete(value);
+    return result;
+}
+
+// Copy of a log entry that is safe to JSON.stringify
+function serializeEntry(logEntry, limits) {
+    return {
+        ...logEntry,
+        metadata: serialize(logEntry.metadata, limits),
+        context: serialize(logEntry.context, limits)
+    };
+}
+
+// Format any value for output
+function formatValue(value, limits) {
+    if (typeof value === 'object' && value !== null) {
+        return JSON.stringify(serialize(value, limits));
+    }
+    return String(serialize(value, limits));
+}
+
+function compileRedaction(config) {
+    if (!config) return null;
+
+    const paths = (config.paths || []).map(p => p.split('.'));
+    const patterns = (config.patterns || []).map(pattern => {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+        // Replace every occurrence, not just the first
+        return regex.global ? regex : new RegExp(regex.source, `${regex.flags}g`);
+    });
+
+    return {
+        paths,
+        patterns,
+        censor: config.censor === undefined ? '[REDACTED]' : config.censor
+    };
+}
+
+// Check whether a key path matches a redaction path ('*' matches any single key)
+function matchesRedactPath(keyPath, redactPath) {
+    if (keyPath.length !== redactPath.length) return false;
+    return redactPath.every((segment, i) => segment === '*' || segment === keyPath[i]);
+}
+
+function redactString(str, rules) {
+    return rules.patterns.reduce((result, pattern) => result.replace(pattern, rules.censor), str);
+}
+
+function redactNode(value, keyPath, seen, rules) {
+    if (typeof value === 'string') {
+        return redactString(value, rules);
+    }
+    if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+
+    const isError = value instanceof Error;
+    const isCollection = value instanceof Map || value instanceof Set;
+    if (!isError && !isCollection && !Array.isArray(value) && Object.prototype.toString.call(value) !== '[object Object]') {
+        // Leave dates, buffers and other exotic objects alone
+        return value;
+    }
+
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map((item, i) => redactChild(item, [...keyPath, String(i)], seen, rules));
+    } else if (value instanceof Set) {
+        // Items are addressed by position, like array items
+        copy = new Set(Array.from(value, (item, i) => redactChild(item, [...keyPath, String(i)], seen, rules)));
+    } else if (value instanceof Map) {
+        // Entries are addressed by their key, as the serializer writes them
+        copy = new Map(Array.from(value, ([key, item]) => {
+            const segment = typeof key === 'object' && key !== null ? null : String(key);
+            return [redactNode(key, keyPath, seen, rules), redactChild(item, [...keyPath, segment], seen, rules)];
+        }));
+    } else {
+        // Errors keep their prototype so they are still recognized as errors
+        copy = isError ? Object.create(Object.getPrototypeOf(value)) : {};
+        const keys = isError ? ['name', 'message', 'stack', ...Object.keys(value)] : Object.keys(value);
+        keys.forEach(key => {
+            if (key in value) {
+                copy[key] = redactChild(value[key], [...keyPath, key], seen, rules);
+            }
+        });
+    }
+    seen.delete(value);
+    return copy;
+}
+
+function redactChild(value, keyPath, seen, rules) {
+    if (rules.paths.some(redactPath => matchesRedactPath(keyPath, redactPath))) {
+        return rules.censor;
+    }
+    return redactNode(value, keyPath, seen, rules);
+}
+
+// Return a copy of value with the paths and patterns of compiled rules censored
+function redactValue(value, rules) {
+    return redactNode(value, [], new Set(), rules);
+}
+
+// Turn a debug.js-style glob ('db:*') into an anchored RegExp
+function globToRegExp(glob) {
+    const escaped = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+// Compile 'db:*=debug,http=warn,-noise,*=info' into inclusion and exclusion rules
+function compileNamespaces(spec, levels = logLevels) {
+    const include = [];
+    const exclude = [];
+
+    String(spec).split(/[\s,]+/).filter(Boolean).forEach(item => {
+        if (item.startsWith('-')) {
+            exclude.push(globToRegExp(item.substring(1)));
+            return;
+        }
+
+        const [pattern, level] = item.split('=');
+        if (level !== undefined && levels[level] === undefined) {
+            throw new Error(`Unknown log level "${level}" for namespace pattern "${pattern}"`);
+        }
+        include.push({
+            regex: globToRegExp(pattern),
+            level: level || null,
+            // More literal characters means a more specific pattern
+            specificity: pattern.replace(/\*/g, '').length
+        });
+    });
+
+    return { source: spec, include, exclude, cache: new Map() };
+}
+
+// Namespaces a compiled filter remembers, and token buckets a sampling rule keeps, at most. Namespaces
+// can be built from request data, so neither may grow without bound
+const maxCachedNamespaces = 1000;
+
+// Resolve whether a namespace is enabled by a compiled filter and its level override (null for none)
+function matchNamespace(filter, namespace) {
+    const { include, exclude, cache } = filter;
+    if (cache.has(namespace)) {
+        return cache.get(namespace);
+    }
+
+    let result;
+    if (exclude.some(regex => regex.test(namespace))) {
+        // Exclusions always win
+        result = { enabled: false, level: null };
+    } else if (include.length === 0) {
+        // Only exclusions given: everything else is enabled
+        result = { enabled: true, level: null };
+    } else {
+        const match = include
+            .filter(rule => rule.regex.test(namespace))
+            .reduce((best, rule) => (!best || rule.specificity >= best.specificity ? rule : best), null);
+        result = { enabled: Boolean(match), level: match ? match.level : null };
+    }
+
+    // Forget the namespace cached first when the cache is full
+    if (cache.size >= maxCachedNamespaces) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(namespace, result);
+    return result;
+}
+
+// Build the structured record for a log entry (stable field names, no ANSI codes)
+function toRecord(logEntry, limits) {
+    const record = {
+        time: logEntry.isoTimestamp,
+        level: logEntry.level,
+        namespace: logEntry.namespace,
+        source: logEntry.source || null,
+        msg: logEntry.message,
+        metadata: logEntry.metadata === undefined ? null : serialize(logEntry.metadata, limits),
+        timeDiff: logEntry.timeDiff
+    };
+
+    // Only present when the entry was logged inside a span
+    if (logEntry.traceId) {
+        record.traceId = logEntry.traceId;
+        record.spanId = logEntry.spanId;
+    }
+
+    // Only present when the entry was logged inside a group
+    if (logEntry.group) {
+        record.group = logEntry.group;
+    }
+
+    // Flight recorder entries: replayed from the buffer, or the buffer attached to an error
+    if (logEntry.buffered) {
+        record.buffered = true;
+    }
+    if (logEntry.buffer) {
+        record.buffer = logEntry.buffer.map(entry => toRecord(entry, limits));
+    }
+    return record;
+}
+
+// Serialize a log entry as a single NDJSON line (without the trailing newline)
+function formatJson(logEntry, limits) {
+    return JSON.stringify(toRecord(logEntry, limits));
+}
+
+// Rebuild a log entry from a record read back from an NDJSON log
+function fromRecord(record) {
+    const time = new Date(record.time);
+    const timeDiff = Number(record.timeDiff) || 0;
+    const message = record.msg !== undefined ? record.msg : record.message;
+
+    const logEntry = {
+        level: String(record.level || 'info'),
+        message: message === undefined || message === null ? '' : message,
+        metadata: record.metadata === undefined ? null : record.metadata,
+        namespace: record.namespace || 'default',
+        timestamp: isNaN(time) ? '' : time.toLocaleTimeString(),
+        isoTimestamp: record.time,
+        timeDiff,
+        source: record.source || '',
+        elapsed: prettyMs(timeDiff),
+        context: null
+    };
+
+    if (record.traceId) {
+        logEntry.traceId = record.traceId;
+        logEntry.spanId = record.spanId;
+    }
+    if (record.group && Array.isArray(record.group.path)) {
+        logEntry.group = record.group;
+    }
+    if (record.buffered) {
+        logEntry.buffered = true;
+    }
+    if (Array.isArray(record.buffer)) {
+        logEntry.buffer = record.buffer.map(fromRecord);
+    }
+    return logEntry;
+}
+
+// Parse a point in time: an ISO date, epoch milliseconds, or a duration ago such as '15m' or '2h'
+function parseTime(value, now = Date.now()) {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/i.exec(String(value).trim());
+    if (match) {
+        const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+        return now - parseFloat(match[1]) * units[match[2].toLowerCase()];
+    }
+
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`Invalid time: ${value} (expected an ISO date, epoch milliseconds or a duration such as 15m)`);
+    }
+    return time;
+}
+
+// Value at a dotted path of a record, looked up in its metadata first
+function readRecordField(record, keys) {
+    const lookup = (root) => keys.reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), root);
+    const value = lookup(record.metadata);
+    return value !== undefined ? value : lookup(record);
+}
+
+// Compile a 'path=value', 'path!=value' or bare 'path' (field is present) condition into a predicate
+function compileFieldCondition(condition) {
+    const match = /^([^=!]+?)\s*(?:(!?=)(.*))?$/s.exec(String(condition));
+    if (!match) {
+        throw new Error(`Invalid field condition: ${condition} (expected path=value, path!=value or path)`);
+    }
+
+    const [, fieldPath, operator, expected] = match;
+    const keys = fieldPath.trim().split('.');
+    return (record) => {
+        const value = readRecordField(record, keys);
+        if (!operator) {
+            return value !== undefined;
+        }
+        const actual = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return (actual === expected) === (operator === '=');
+    };
+}
+
+// Merge fields bound by child loggers into an entry's metadata
+function mergeFields(fields, metadata) {
+    if (!fields) {
+        return metadata;
+    }
+    if (metadata === null || metadata === undefined) {
+        return { ...fields };
+    }
+    if (Object.prototype.toString.call(metadata) === '[object Object]') {
+        return { ...fields, ...metadata };
+    }
+    // Keep non-plain metadata (errors, arrays, primitives) under its own key
+    return { ...fields, [metadata instanceof Error ? 'err' : 'value']: metadata };
+}
+
+// Validate flight recorder options and fill in the defaults
+function compileFlightRecorder(config, levels = logLevels) {
+    if (!config) return null;
+
+    const settings = {
+        size: 200,           // Entries kept per buffer
+        perNamespace: false, // One buffer per namespace instead of a shared one
+        dumpLevel: 'error',  // Entries at this level or above dump the buffer
+        file: null,          // Dump to this file (NDJSON) instead of the transports
+        attach: false,       // Attach the buffer to the triggering entry instead of dumping it
+        ...config
+    };
+
+    if (!(Number.isInteger(settings.size) && settings.size > 0)) {
+        throw new Error(`Flight recorder size must be a positive integer, got ${settings.size}`);
+    }
+    if (levels[settings.dumpLevel] === undefined) {
+        throw new Error(`Unknown log level "${settings.dumpLevel}" for flight recorder`);
+    }
+    return settings;
+}
+
+// Validate sampling rules and compile their namespace patterns
+function compileSampling(config, levels = logLevels) {
+    if (!config) return null;
+
+    const { rules = [], summaryInterval = 10000 } = config;
+    if (!Array.isArray(rules)) {
+        throw new Error('Sampling rules must be an array');
+    }
+    if (!(summaryInterval > 0)) {
+        throw new Error(`Sampling summaryInterval must be a positive number, got ${summaryInterval}`);
+    }
+
+    return {
+        summaryInterval,
+        rules: rules.map((rule, i) => {
+            const { namespaces = '*', levels: ruleLevels = null, sampleRate = 1, maxPerSecond = null } = rule;
+            const levelList = ruleLevels === null ? null : [].concat(ruleLevels);
+            const unknown = (levelList || []).find(level => levels[level] === undefined);
+            if (unknown !== undefined) {
+                throw new Error(`Unknown log level "${unknown}" in sampling rule ${i}`);
+            }
+            if (!(sampleRate >= 0 && sampleRate <= 1)) {
+                throw new Error(`Sampling rule ${i} needs a sampleRate between 0 and 1, got ${sampleRate}`);
+            }
+            if (maxPerSecond !== null && !(maxPerSecond > 0)) {
+                throw new Error(`Sampling rule ${i} needs a positive maxPerSecond, got ${maxPerSecond}`);
+            }
+
+            return {
+                namespaces: compileNamespaces(namespaces, levels),
+                levels: levelList,  // null applies to every level below error
+                sampleRate,
+                maxPerSecond,
+                burst: rule.burst || maxPerSecond,  // Token bucket capacity
+                buckets: new Map()  // Namespace -> { tokens, updated }
+            };
+        })
+    };
+}
+
+// Check whether a sampling rule covers a level and namespace
+function samplingRuleApplies(rule, level, namespace, levels) {
+    // Errors are only ever dropped by rules that name their level
+    const levelMatches = rule.levels
+        ? rule.levels.includes(level)
+        : !(levels[level] >= levels.error);
+    return levelMatches && matchNamespace(rule.namespaces, namespace).enabled;
+}
+
+// Take a token from a rule's bucket for a namespace, refilling at maxPerSecond
+function takeToken(rule, namespace) {
+    const now = Date.now();
+    let bucket = rule.buckets.get(namespace);
+    if (!bucket) {
+        if (rule.buckets.size >= maxCachedNamespaces) {
+            evictIdleBuckets(rule, now);
+        }
+        bucket = { tokens: rule.burst, updated: now };
+        rule.buckets.set(namespace, bucket);
+    }
+    bucket.tokens = Math.min(rule.burst, bucket.tokens + ((now - bucket.updated) / 1000) * rule.maxPerSecond);
+    bucket.updated = now;
+
+    if (bucket.tokens < 1) {
+        return false;
+    }
+    bucket.tokens--;
+    return true;
+}
+
+// Drop the buckets that have refilled completely, since a new bucket starts out the same. If every
+// bucket is still in use, the one created first goes
+function evictIdleBuckets(rule, now) {
+    const refillMs = (rule.burst / rule.maxPerSecond) * 1000;
+    rule.buckets.forEach((bucket, namespace) => {
+        if (now - bucket.updated >= refillMs) {
+            rule.buckets.delete(namespace);
+        }
+    });
+    if (rule.buckets.size >= maxCachedNamespaces) {
+        rule.buckets.delete(rule.buckets.keys().next().value);
+    }
+}
+
+// Parse a size such as 10485760, '500k', '10m' or '1g' into bytes
+function parseSize(size) {
+    if (typeof size === 'number') return size;
+
+    const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(size).trim());
+    if (!match) {
+        throw new Error(`Invalid size: ${size}`);
+    }
+
+    const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
+
+// Key identifying the rotation period a date falls into
+function getPeriodKey(date, frequency) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    if (frequency === 'hourly') {
+        return `${day}T${pad(date.getHours())}`;
+    }
+    if (frequency === 'daily') {
+        return day;
+    }
+    return null;
+}
+
+// Compiled namespace filters of transports, rebuilt when a transport's namespaces change
+const transportNamespaceFilters = new WeakMap();
+
+// Copy the settings every transport understands onto a transport
+function applyTransportSettings(transport, transportOptions) {
+    const { level = null, namespaces = null, filter = null, formatter = null } = transportOptions;
+    // Level names are checked by the logger the transport is added to, which may have custom levels
+    if (level !== null && typeof level !== 'string') {
+        throw new Error('Transport level must be a level name');
+    }
+    if (namespaces !== null && typeof namespaces !== 'string') {
+        throw new Error('Transport namespaces must be a string');
+    }
+    if (filter !== null && typeof filter !== 'function') {
+        throw new Error('Transport filter must be a function');
+    }
+    if (formatter !== null && typeof formatter !== 'string' && typeof formatter !== 'function') {
+        throw new Error('Transport formatter must be a format string or a function');
+    }
+
+    transport.level = level;           // Minimum level for this transport
+    transport.namespaces = namespaces; // Namespace globs, same syntax as enabledNamespaces
+    transport.filter = filter;         // (entry) => false skips the entry
+    transport.formatter = formatter;   // 'pretty', 'json', a format string or (entry) => string
+}
+
+// Check a transport's own level and namespaces
+function transportAccepts(transport, level, namespace, levels) {
+    let minLevel = transport.level || null;
+
+    if (transport.namespaces) {
+        let filter = transportNamespaceFilters.get(transport);
+        if (!filter || filter.source !== transport.namespaces) {
+            filter = compileNamespaces(transport.namespaces, levels);
+            transportNamespaceFilters.set(transport, filter);
+        }
+
+        const match = matchNamespace(filter, namespace);
+        if (!match.enabled) {
+            return false;
+        }
+        minLevel = match.level || minLevel;
+    }
+
+    return !minLevel || !(levels[level] < levels[minLevel]);
+}
+
+// Console methods patchConsole() can route through log(), and their default levels
+const consoleMethodLevels = {
+    log: 'info',
+    info: 'info',
+    debug: 'debug',
+    trace: 'trace',
+    warn: 'warn',
+    error: 'error'
+};
+
+// The original console methods while a logger has the console patched (the console is global,
+// so only one logger can patch it at a time)
+let consoleOriginals = null;
+
+// A console method as it was before patchConsole(), so that logger output never loops back into log()
+function nativeConsole(method) {
+    return (consoleOriginals && consoleOriginals[method]) || console[method];
+}
+
+// Transport interfaces
+class ConsoleTransport {
+    constructor(options = {}) {
+        applyTransportSettings(this, options);
+    }
+
+    log(logEntry) {
+        nativeConsole('log')(logEntry.formattedMessage);
+    }
+}
+
+class FileTransport {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.options = {
+            rotate: true,
+            maxSize: 10 * 1024 * 1024, // 10MB (also accepts '500k', '10m', '1g')
+            frequency: null,   // 'daily' or 'hourly' for time-based rotation
+            maxFiles: 5,       // Rotated generations to keep
+            compress: false,   // Gzip rotated files
+            format: null,      // 'text' or 'json' (NDJSON), unless a formatter is given; defaults to the logger's format
+            ...options
+        };
+        applyTransportSettings(this, this.options);
+
+        if (this.options.frequency && !['daily', 'hourly'].includes(this.options.frequency)) {
+            throw new Error(`Unknown rotation frequency: ${this.options.frequency}`);
+        }
+        this.maxSize = this.options.maxSize ? parseSize(this.options.maxSize) : 0;
+        this.pending = new Set(); // Compressions still in progress
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.open();
+    }
+
+    // Open the active log file, picking up the size and period of existing content
+    open() {
+        let stats = null;
+        try {
+            stats = fs.statSync(this.filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        this.size = stats ? stats.size : 0;
+        this.period = getPeriodKey(stats ? stats.mtime : new Date(), this.options.frequency);
+        // Open synchronously so the file exists before the first rotation check
+        const fd = fs.openSync(this.filePath, 'a');
+        this.stream = fs.createWriteStream(this.filePath, { fd });
+        this.stream.on('error', (err) => nativeConsole('error')('Failed to write log file:', err));
+    }
+
+    log(logEntry, settings = {}) {
+        const line = `${this.formatter ? logEntry.formattedMessage : this.format(logEntry, settings)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        if (this.shouldRotate(bytes)) {
+            this.rotate();
+        }
+
+        this.stream.write(line);
+        this.size += bytes;
+    }
+
+    // Render a single line for the file, in the logger's format unless the transport has its own
+    format(logEntry, settings = {}) {
+        const format = this.options.format || (settings.format === 'json' ? 'json' : 'text');
+        if (format === 'json') {
+            return formatJson(logEntry, settings.serialize);
+        }
+
+        const namespace = logEntry.namespace && logEntry.namespace !== 'default' ? ` [${logEntry.namespace}]` : '';
+        const metadata = logEntry.metadata !== null && logEntry.metadata !== undefined ? ` ${formatValue(logEntry.metadata, settings.serialize)}` : '';
+        return `${logEntry.isoTimestamp} [${logEntry.level.toUpperCase()}]${namespace} ${logEntry.message}${metadata}`;
+    }
+
+    shouldRotate(bytes) {
+        if (!this.options.rotate || this.size === 0) {
+            return false;
+        }
+        if (this.maxSize && this.size + bytes > this.maxSize) {
+            return true;
+        }
+        return this.options.frequency
+            ? getPeriodKey(new Date(), this.options.frequency) !== this.period
+            : false;
+    }
+
+    // Move the active file aside under a timestamped name and start a fresh one
+    rotate() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let rotatedPath = path.join(dir, `${name}.${stamp}${ext}`);
+        for (let i = 1; fs.existsSync(rotatedPath) || fs.existsSync(`${rotatedPath}.gz`); i++) {
+            rotatedPath = path.join(dir, `${name}.${stamp}-${i}${ext}`);
+        }
+
+        // Renaming keeps the old stream pointed at the rotated file until it drains
+        const oldStream = this.stream;
+        fs.renameSync(this.filePath, rotatedPath);
+        this.open();
+
+        oldStream.end(() => {
+            if (this.options.compress) {
+                this.compress(rotatedPath);
+            } else {
+                this.prune();
+            }
+        });
+    }
+
+    compress(filePath) {
+        const task = new Promise((resolve) => {
+            pipeline(
+                fs.createReadStream(filePath),
+                zlib.createGzip(),
+                fs.createWriteStream(`${filePath}.gz`),
+                (err) => {
+                    if (err) {
+                        nativeConsole('error')('Failed to compress rotated log file:', err);
+                    } else {
+                        fs.unlink(filePath, () => {});
+                    }
+                    resolve();
+                }
+            );
+        }).then(() => {
+            this.pending.delete(task);
+            this.prune();
+        });
+        this.pending.add(task);
+    }
+
+    // Delete the oldest rotated files beyond maxFiles
+    prune() {
+        const { dir, name, ext } = path.parse(this.filePath);
+        const escape = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escape(name)}\\.([\\dTZ-]{24})(?:-(\\d+))?${escape(ext)}(?:\\.gz)?$`);
+
+        // A file still being compressed shows up twice (plain and .gz), so group by generation
+        const generations = new Map();
+        fs.readdirSync(dir || '.').forEach(file => {
+            const match = pattern.exec(file);
+            if (!match) return;
+
+            const key = `${match[1]}:${String(match[2] || 0).padStart(6, '0')}`;
+            if (!generations.has(key)) {
+                generations.set(key, []);
+            }
+            generations.get(key).push(file);
+        });
+
+        [...generations.keys()]
+            .sort()
+            .reverse()
+            .slice(this.options.maxFiles)
+            .forEach(key => {
+                generations.get(key).forEach(file => {
+                    fs.unlink(path.join(dir, file), () => {});
+                });
+            });
+    }
+    
+    // Resolve once everything written so far has reached the file
+    flush() {
+        if (!this.stream || this.stream.writableEnded) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => this.stream.write('', (err) => (err ? reject(err) : resolve())));
+    }
+
+    // Clean up resources when done, resolving once the file and any rotated files being compressed are written
+    close() {
+        const finished = this.stream && !this.stream.writableEnded
+            ? new Promise((resolve, reject) => {
+                this.stream.once('error', reject);
+                this.stream.end(resolve);
+            })
+            : Promise.resolve();
+        return finished.then(() => Promise.all(this.pending)).then(() => {});
+    }
+}
+
+class HttpTransport {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.options = {
+            batchSize: 10,     // Number of logs to batch together
+            interval: 5000,    // Flush interval in ms
+            headers: {},       // Custom headers
+            format: null,      // 'json' sends NDJSON records instead of a JSON array of entries; defaults to the logger's format
+            compress: false,   // Gzip request bodies
+            maxQueueSize: 10000,   // Entries held in memory before dropping
+            dropPolicy: 'oldest',  // 'oldest' or 'newest' entries are dropped when the queue is full
+            spoolFile: null,       // Write undeliverable batches here and replay them later (survives restarts)
+            maxSpoolSize: '50m',
+            ...options,
+            backoff: {
+                initialDelay: 1000,
+                maxDelay: 60000,
+                factor: 2,
+                jitter: 0.5,   // Fraction of each delay that is randomized
+                ...options.backoff
+            }
+        };
+
+        if (!['oldest', 'newest'].includes(this.options.dropPolicy)) {
+            throw new Error(`Unknown drop policy: ${this.options.dropPolicy}`);
+        }
+        applyTransportSettings(this, this.options);
+        this.maxSpoolSize = parseSize(this.options.maxSpoolSize);
+
+        this.logQueue = [];
+        this.dropped = 0;      // Entries discarded because the queue or spool was full
+        this.failures = 0;     // Consecutive failed deliveries
+        this.nextAttempt = 0;  // No deliveries before this time (backoff)
+        this.retryTimer = null;
+        this.flushing = null;
+        this.loggerSettings = {}; // Settings of the logger that last delivered an entry
+
+        if (this.options.spoolFile) {
+            fs.mkdirSync(path.dirname(this.options.spoolFile), { recursive: true });
+        }
+
+        // Batching and retries don't keep the process alive; close() (or the logger's
+        // shutdown hooks) delivers what is still queued at exit
+        this.timer = setInterval(() => this.flushInBackground(), this.options.interval);
+        this.timer.unref();
+
+        // Replay anything spooled by a previous run
+        if (this.hasSpool()) {
+            setImmediate(() => this.flushInBackground());
+        }
+    }
+    
+    log(logEntry, settings = {}) {
+        this.loggerSettings = settings;
+        this.enqueue(logEntry);
+        
+        if (this.logQueue.length >= this.options.batchSize) {
+            this.flushInBackground();
+        }
+    }
+
+    // Add an entry, applying the drop policy when the queue is full
+    enqueue(logEntry) {
+        if (this.logQueue.length >= this.options.maxQueueSize) {
+            this.dropped++;
+            if (this.options.dropPolicy === 'newest') {
+                return;
+            }
+            this.logQueue.shift();
+        }
+        this.logQueue.push(logEntry);
+    }
+
+    // Put a failed batch back in front of the queue, trimming to the size limit
+    requeue(entries) {
+        this.logQueue = [...entries, ...this.logQueue];
+
+        const overflow = this.logQueue.length - this.options.maxQueueSize;
+        if (overflow > 0) {
+            this.dropped += overflow;
+            this.logQueue = this.options.dropPolicy === 'newest'
+                ? this.logQueue.slice(0, this.options.maxQueueSize)
+                : this.logQueue.slice(overflow);
+        }
+    }
+    
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    // Flush without a caller waiting on it, so a failure must not become an unhandled rejection
+    flushInBackground() {
+        this.flush().catch((err) => {
+            this.lastError = err;
+            nativeConsole('error')('Failed to flush logs:', err.message || err);
+        });
+    }
+
+    async drain() {
+        // While backing off, move queued entries to the spool instead of holding them in memory
+        if (Date.now() < this.nextAttempt) {
+            if (this.options.spoolFile && this.logQueue.length > 0) {
+                this.spool(this.logQueue);
+                this.logQueue = [];
+            }
+            return;
+        }
+
+        let sent = 0;
+        try {
+            sent += await this.replaySpool();
+
+            while (this.logQueue.length > 0) {
+                const logsToSend = this.logQueue.splice(0, this.options.batchSize);
+                try {
+                    await this.send(logsToSend);
+                    sent += logsToSend.length;
+                } catch (err) {
+                    if (this.options.spoolFile) {
+                        this.spool(logsToSend);
+                    } else {
+                        this.requeue(logsToSend);
+                    }
+                    throw err;
+                }
+            }
+        } catch (err) {
+            this.scheduleRetry(err);
+            return;
+        }
+
+        // Nothing was sent, so there is no sign yet that the endpoint is back
+        if (sent === 0) return;
+
+        this.lastError = null;
+        if (this.failures > 0) {
+            nativeConsole('error')(`Log delivery resumed after ${this.failures} failed attempt(s), ${this.dropped} log(s) dropped so far`);
+            this.failures = 0;
+            this.nextAttempt = 0;
+        }
+    }
+
+    // POST a batch of entries, throwing if the endpoint does not accept it
+    async send(entries) {
+        const { format, serialize: limits } = this.loggerSettings;
+        const isJson = (this.options.format || format) === 'json';
+        let body = isJson
+            ? entries.map(entry => `${formatJson(entry, limits)}\n`).join('')
+            : JSON.stringify(entries.map(entry => serializeEntry(entry, limits)));
+        const headers = {
+            'Content-Type': isJson ? 'application/x-ndjson' : 'application/json',
+            ...this.options.headers
+        };
+
+        if (this.options.compress) {
+            body = zlib.gzipSync(body);
+            headers['Content-Encoding'] = 'gzip';
+        }
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers,
+            body
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}`);
+        }
+    }
+
+    // Exponential backoff with jitter; only the first failure of an outage is reported
+    scheduleRetry(err) {
+        this.failures++;
+        this.lastError = err; // Reported by the logger's flush() and close()
+        if (this.failures === 1) {
+            nativeConsole('error')('Failed to send logs, retrying with backoff:', err.message || err);
+        }
+
+        const { initialDelay, maxDelay, factor, jitter } = this.options.backoff;
+        const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, this.failures - 1));
+        const wait = Math.round(delay * (1 - jitter * Math.random()));
+        this.nextAttempt = Date.now() + wait;
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.flushInBackground(), wait);
+        this.retryTimer.unref();
+    }
+
+    hasSpool() {
+        if (!this.options.spoolFile) return false;
+        try {
+            const stats = fs.statSync(this.options.spoolFile);
+            return stats.isFile() && stats.size > 0;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    // Append entries to the spool file, dropping them if it is full or cannot be written
+    spool(entries) {
+        const data = entries.map(entry => `${JSON.stringify(serializeEntry(entry, this.loggerSettings.serialize))}\n`).join('');
+        let size = 0;
+        try {
+            size = fs.statSync(this.options.spoolFile).size;
+        } catch (err) {
+            // No spool yet
+        }
+
+        if (size + Buffer.byteLength(data) > this.maxSpoolSize) {
+            this.dropped += entries.length;
+            return;
+        }
+
+        try {
+            fs.appendFileSync(this.options.spoolFile, data);
+        } catch (err) {
+            this.dropped += entries.length;
+            this.lastError = err; // Reported by the logger's flush() and close()
+            nativeConsole('error')(`Failed to spool logs, ${entries.length} log(s) dropped:`, err.message || err);
+        }
+    }
+
+    // Send spooled entries in batches, keeping whatever could not be delivered; returns how many were sent
+    async replaySpool() {
+        if (!this.hasSpool()) return 0;
+
+        const entries = fs.readFileSync(this.options.spoolFile, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (err) {
+                    return null; // Skip a torn line from a crash mid-write
+                }
+            })
+            .filter(Boolean);
+
+        for (let i = 0; i < entries.length; i += this.options.batchSize) {
+            try {
+                await this.send(entries.slice(i, i + this.options.batchSize));
+            } catch (err) {
+                const remaining = entries.slice(i).map(entry => `${JSON.stringify(entry)}\n`).join('');
+                fs.writeFileSync(this.options.spoolFile, remaining);
+                throw err;
+            }
+        }
+
+        fs.unlinkSync(this.options.spoolFile);
+        return entries.length;
+    }
+    
+    async close() {
+        clearInterval(this.timer);
+        clearTimeout(this.retryTimer);
+        this.nextAttempt = 0; // One last attempt, even while backing off
+        await this.flush();
+
+        // Keep whatever could not be delivered for the next run
+        if (this.options.spoolFile && this.logQueue.length > 0) {
+            this.spool(this.logQueue);
+            this.logQueue = [];
+        }
+    }
+}
+
+// Built-in transports that render entries themselves and never read the logger's formattedMessage
+function formatsOwnEntries(transport) {
+    return transport instanceof FileTransport || transport instanceof WorkerTransport;
+}
+
+// Runs file and HTTP transports on a worker thread. Entries are handed over as NDJSON in batches,
+// so the logging thread only pays for serialization while formatting and I/O happen in the worker
+class WorkerTransport {
+    constructor(options = {}) {
+        this.options = {
+            transports: [],      // Declarations as in the config file, e.g. { type: 'file', path: './logs/app.log' }
+            bufferSize: 10000,   // Entries handed to the worker and not yet written or sent before overflow applies
+            overflow: 'block',   // 'block' the logging thread until the worker catches up, or 'drop' entries
+            blockTimeout: 5000,  // Longest wait for room before a batch is dropped anyway
+            batchSize: 100,      // Entries per message to the worker
+            ...options
+        };
+        applyTransportSettings(this, this.options);
+
+        if (!['block', 'drop'].includes(this.options.overflow)) {
+            throw new Error(`Unknown overflow policy: ${this.options.overflow}`);
+        }
+        const declarations = [].concat(this.options.transports);
+        if (declarations.length === 0) {
+            throw new Error('WorkerTransport needs at least one transport declaration');
+        }
+        declarations.forEach((declaration, index) => {
+            if (!isPlainObject(declaration) || !['file', 'http'].includes(declaration.type)) {
+                throw new Error(`WorkerTransport transport ${index} must be a { type: 'file' } or { type: 'http' } declaration`);
+            }
+        });
+
+        // Entries handed to the worker and not yet written, shared so the logging thread can wait on it
+        this.pending = new Int32Array(new SharedArrayBuffer(4));
+        this.batch = [];
+        this.batchFormat = null; // The logger's format, for inner transports without their own
+        this.scheduled = false;
+        this.dropped = 0;    // Entries discarded on overflow or after the worker failed
+        this.requests = new Map();
+        this.requestId = 0;
+        this.failure = null;
+        this.closing = false;
+
+        try {
+            this.worker = new Worker(new URL(import.meta.url), {
+                workerData: { consoleGeniusWorker: { transports: declarations, pending: this.pending } }
+            });
+        } catch (err) {
+            throw new Error(`WorkerTransport declarations must be plain data, without functions: ${err.message}`);
+        }
+
+        // Like the HTTP transport's timers, the worker does not keep the process alive on its own
+        this.worker.unref();
+        this.worker.on('message', (message) => this.settle(message));
+        this.worker.on('error', (err) => this.fail(err));
+        this.worker.on('exit', (code) => this.fail(new Error(`Log worker exited with code ${code}`)));
+    }
+
+    log(logEntry, settings = {}) {
+        if (this.failure) {
+            this.dropped++;
+            return;
+        }
+        if (this.options.overflow === 'drop' && Atomics.load(this.pending, 0) + this.batch.length >= this.options.bufferSize) {
+            this.dropped++;
+            return;
+        }
+
+        // A batch only holds entries of one logger format
+        const format = settings.format === 'json' ? 'json' : null;
+        if (this.batch.length > 0 && format !== this.batchFormat) {
+            this.post();
+        }
+        this.batchFormat = format;
+
+        this.batch.push(formatJson(logEntry, settings.serialize));
+        if (this.batch.length >= this.options.batchSize) {
+            this.post();
+        } else if (!this.scheduled) {
+            this.scheduled = true;
+            setImmediate(() => this.post());
+        }
+    }
+
+    // Hand the current batch to the worker, first waiting for room when overflow is 'block'
+    post() {
+        this.scheduled = false;
+        if (this.batch.length === 0 || this.failure) {
+            return;
+        }
+
+        const count = this.batch.length;
+        if (this.options.overflow === 'block') {
+            const deadline = Date.now() + this.options.blockTimeout;
+            let inFlight = Atomics.load(this.pending, 0);
+            while (inFlight > 0 && inFlight + count > this.options.bufferSize) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    this.dropped += count;
+                    this.batch = [];
+                    return;
+                }
+                Atomics.wait(this.pending, 0, inFlight, remaining);
+                inFlight = Atomics.load(this.pending, 0);
+            }
+        }
+
+        Atomics.add(this.pending, 0, count);
+        this.worker.postMessage({ type: 'log', lines: this.batch.join('\n'), count, format: this.batchFormat });
+        this.batch = [];
+    }
+
+    // Ask the worker to flush or close its transports, rejecting with their errors
+    request(type) {
+        this.post();
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        const id = ++this.requestId;
+        // Keep the process alive until the worker answers
+        this.worker.ref();
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.worker.postMessage({ type, id });
+        });
+    }
+
+    settle({ id, errors }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.requests.delete(id);
+        if (this.requests.size === 0) {
+            this.worker.unref();
+        }
+        if (errors.length > 0) {
+            request.reject(new Error(errors.join('; ')));
+        } else {
+            request.resolve();
+        }
+    }
+
+    fail(err) {
+        if (this.failure) return;
+
+        this.failure = err;
+        if (!this.closing) {
+            nativeConsole('error')('Log worker failed, further entries are dropped:', err.message || err);
+        }
+        this.requests.forEach(({ reject }) => reject(err));
+        this.requests.clear();
+    }
+
+    flush() {
+        return this.request('flush');
+    }
+
+    async close() {
+        if (this.closing) return;
+
+        this.closing = true;
+        try {
+            await this.request('close');
+        } finally {
+            await this.worker.terminate();
+        }
+    }
+}
+
+// Body of a WorkerTransport thread: build the declared transports and write the batches it is sent
+function runTransportWorker({ transports: declarations, pending }) {
+    const transports = declarations.map(createConfiguredTransport);
+    // Transports with a formatter string get a logger to render it
+    const renderers = new Map();
+    const render = (format, record) => {
+        if (!renderers.has(format)) {
+            renderers.set(format, createLogger({ format, transports: [] }));
+        }
+        return renderers.get(format).formatRecord(record);
+    };
+
+    parentPort.on('message', async (message) => {
+        if (message.type === 'log') {
+            message.lines.split('\n').forEach(line => {
+                const record = JSON.parse(line);
+                const logEntry = fromRecord(record);
+                transports.forEach(transport => {
+                    if (!transportAccepts(transport, logEntry.level, logEntry.namespace, logLevels)) {
+                        return;
+                    }
+                    try {
+                        transport.log(typeof transport.formatter === 'string'
+                            ? { ...logEntry, formattedMessage: render(transport.formatter, record) }
+                            : logEntry, { format: message.format });
+                    } catch (err) {
+                        console.error('Log worker transport failed:', err.message || err);
+                    }
+                });
+            });
+
+            // The batch stops counting against bufferSize once the transports have written it out:
+            // appended to the file, or sent (spooled or queued while an HTTP endpoint is backing off)
+            await Promise.all(transports.map(transport => transport.flush().catch((err) => {
+                console.error('Log worker transport failed:', err.message || err);
+            })));
+            Atomics.sub(pending, 0, message.count);
+            Atomics.notify(pending, 0);
+            return;
+        }
+
+        // 'flush' or 'close'
+        const errors = [];
+        await Promise.all(transports.map(async transport => {
+            try {
+                await transport[message.type]();
+                if (transport.lastError) {
+                    throw transport.lastError;
+                }
+            } catch (err) {
+                errors.push(err.message || String(err));
+            }
+        }));
+        parentPort.postMessage({ id: message.id, errors });
+    });
+}
+
+// Run fn with fields merged into every entry logged inside it, including async work
+function runWithContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+// Get the fields of the current async context
+function getContext() {
+    return contextStorage.getStore() || {};
+}
+
+// Active span carried across async calls
+const spanStorage = new AsyncLocalStorage();
+
+// Wall-clock nanoseconds with hrtime precision
+const timeOriginNs = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+function nowNs() {
+    return timeOriginNs + process.hrtime.bigint();
+}
+
+function randomHex(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+}
+
+// A timed operation in a trace, with a parent/child relationship to other spans
+class Span {
+    constructor(name, spanOptions = {}) {
+        const parent = spanOptions.parent;
+        this.name = name;
+        this.traceId = parent ? parent.traceId : randomHex(16);
+        this.spanId = randomHex(8);
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.sampled = parent ? parent.sampled !== false : true;
+        this.kind = spanOptions.kind || 'internal'; // internal, server, client, producer or consumer
+        this.attributes = { ...spanOptions.attributes };
+        this.events = [];
+        this.status = { code: 'UNSET', message: '' };
+        this.startTime = nowNs();
+        this.endTime = null;
+        this.duration = null; // milliseconds, set by end()
+        // Not enumerable, so exporters only see span data
+        Object.defineProperty(this, 'onEnd', { value: spanOptions.onEnd || null });
+    }
+
+    setAttribute(key, value) {
+        this.attributes[key] = value;
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.assign(this.attributes, attributes);
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: nowNs(), attributes });
+        return this;
+    }
+
+    // code is 'UNSET', 'OK' or 'ERROR'
+    setStatus(code, message = '') {
+        this.status = { code, message };
+        return this;
+    }
+
+    recordException(err) {
+        const error = err instanceof Error ? err : new Error(String(err));
+        this.addEvent('exception', {
+            'exception.type': error.name,
+            'exception.message': error.message,
+            'exception.stacktrace': error.stack
+        });
+        return this.setStatus('ERROR', error.message);
+    }
+
+    end() {
+        if (this.endTime !== null) return;
+
+        this.endTime = nowNs();
+        this.duration = Number(this.endTime - this.startTime) / 1e6;
+        if (this.sampled && this.onEnd) {
+            this.onEnd(this);
+        }
+    }
+
+    // W3C traceparent header value for this span
+    toTraceparent() {
+        return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+    }
+}
+
+// Parse a W3C traceparent header into a span context, or null if it is invalid
+function parseTraceparent(header) {
+    const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || '').trim().toLowerCase());
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return {
+        traceId: match[2],
+        spanId: match[3],
+        sampled: (parseInt(match[4], 16) & 1) === 1
+    };
+}
+
+// Get the span active in the current async context
+function getActiveSpan() {
+    return spanStorage.getStore() || null;
+}
+
+// Run fn with span as the active span
+function runWithSpan(span, fn) {
+    return spanStorage.run(span, fn);
+}
+
+// Add a traceparent header for the active span to outgoing request headers
+function injectTraceparent(headers = {}) {
+    const span = getActiveSpan();
+    if (span) {
+        headers.traceparent = span.toTraceparent();
+    }
+    return headers;
+}
+
+// Entries a collapsed group holds back from the console, in case it fails
+const maxHiddenEntries = 1000;
+
+// A named, timed section of the log. Entries logged inside it carry its path and depth, and a new
+// group nests in the one open in the current async context
+class LogGroup {
+    constructor(name, groupOptions = {}) {
+        const parent = groupOptions.parent || null;
+        this.name = name;
+        this.id = randomHex(8);
+        this.path = parent ? [...parent.path, name] : [name];
+        this.depth = this.path.length;
+        this.collapsed = Boolean(groupOptions.collapsed);
+        this.nested = {};      // Child group name -> total milliseconds
+        this.startTime = nowNs();
+        this.duration = null;  // milliseconds, set by end()
+        this.error = null;
+        // Not enumerable, so the group serializes as its own data
+        Object.defineProperty(this, 'parent', { value: parent });
+        // Outermost collapsed group around this one's entries, and the console entries it holds back
+        Object.defineProperty(this, 'folded', { value: parent && parent.folded ? parent.folded : (this.collapsed ? this : null) });
+        Object.defineProperty(this, 'hidden', { value: [], writable: true });
+        Object.defineProperty(this, 'onEnd', { value: groupOptions.onEnd || null });
+    }
+
+    // End the group, as failed when an error is given
+    end(error) {
+        if (this.duration !== null) return;
+
+        this.duration = Number(nowNs() - this.startTime) / 1e6;
+        this.error = error === undefined ? null : error;
+        if (this.parent) {
+            this.parent.nested[this.name] = (this.parent.nested[this.name] || 0) + this.duration;
+        }
+        if (this.onEnd) {
+            this.onEnd(this);
+        }
+    }
+
+    // Keep a console delivery back until the group ends, dropping the oldest beyond the limit
+    hide(logEntry, targets) {
+        this.hidden.push({ entry: logEntry, targets });
+        if (this.hidden.length > maxHiddenEntries) {
+            this.hidden.shift();
+        }
+    }
+}
+
+// Convert a value to an OTLP AnyValue
+function toOtlpValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toOtlpValue) } };
+    return { stringValue: typeof value === 'string' ? value : formatValue(value) };
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.keys(attributes).map(key => ({ key, value: toOtlpValue(attributes[key]) }));
+}
+
+const otlpSpanKinds = { internal: 1, server: 2, client: 3, producer: 4, consumer: 5 };
+const otlpStatusCodes = { UNSET: 0, OK: 1, ERROR: 2 };
+
+// Exports finished spans as OTLP/JSON to a collector URL or, one request per line, to a file
+class OtlpExporter {
+    constructor(exporterOptions = {}) {
+        this.options = {
+            url: null,         // e.g. http://localhost:4318/v1/traces
+            file: null,        // e.g. ./logs/traces.jsonl
+            serviceName: 'unknown_service',
+            headers: {},
+            batchSize: 100,
+            interval: 5000,
+            ...exporterOptions
+        };
+
+        if (!this.options.url && !this.options.file) {
+            throw new Error('OtlpExporter needs a url or a file');
+        }
+        if (this.options.file) {
+            fs.mkdirSync(path.dirname(this.options.file), { recursive: true });
+        }
+
+        this.queue = [];
+        this.timer = setInterval(() => this.flush(), this.options.interval);
+        this.timer.unref();
+    }
+
+    export(spans) {
+        this.queue.push(...spans);
+        if (this.queue.length >= this.options.batchSize) {
+            this.flush();
+        }
+    }
+
+    // Build an ExportTraceServiceRequest for a batch of spans
+    toRequest(spans) {
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: toOtlpAttributes({ 'service.name': this.options.serviceName })
+                },
+                scopeSpans: [{
+                    scope: { name: 'console-genius' },
+                    spans: spans.map(span => ({
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: otlpSpanKinds[span.kind] || 1,
+                        startTimeUnixNano: String(span.startTime),
+                        endTimeUnixNano: String(span.endTime),
+                        attributes: toOtlpAttributes(span.attributes),
+                        events: span.events.map(event => ({
+                            timeUnixNano: String(event.time),
+                            name: event.name,
+                            attributes: toOtlpAttributes(event.attributes)
+                        })),
+                        status: {
+                            code: otlpStatusCodes[span.status.code] || 0,
+                            message: span.status.message || undefined
+                        }
+                    }))
+                }]
+            }]
+        };
+    }
+
+    async flush() {
+        if (this.queue.length === 0) return;
+
+        const spans = this.queue;
+        this.queue = [];
+        const body = JSON.stringify(this.toRequest(spans));
+
+        try {
+            if (this.options.file) {
+                await fs.promises.appendFile(this.options.file, `${body}\n`);
+            }
+            if (this.options.url) {
+                const response = await fetch(this.options.url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...this.options.headers },
+                    body
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+            }
+        } catch (err) {
+            nativeConsole('error')('Failed to export spans:', err.message || err);
+        }
+    }
+
+    shutdown() {
+        clearInterval(this.timer);
+        return this.flush();
+    }
+}
+
+// Request middleware settings
+function getMiddlewareSettings(middlewareOptions = {}) {
+    return {
+        namespace: 'http',
+        requestIdHeader: 'x-request-id',
+        context: null,  // (req) => extra context fields
+        ...middlewareOptions
+    };
+}
+
+// Build the context for an incoming request, reusing the caller's request id if given
+function createRequestContext(req, settings) {
+    const headerValue = req.headers && req.headers[settings.requestIdHeader];
+    return {
+        requestId: headerValue || crypto.randomBytes(8).toString('hex'),
+        ...(typeof settings.context === 'function' ? settings.context(req) : null)
+    };
+}
+
+// Call onDone once when the response finishes or the connection closes
+function onResponseEnd(res, onDone) {
+    let done = false;
+    const finish = () => {
+        if (!done) {
+            done = true;
+            onDone();
+        }
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+}
+
+// Functions returned by traceFn, so nothing is wrapped twice
+const tracedFunctions = new WeakSet();
+
+// Parameter names parsed from function sources
+const paramNameCache = new WeakMap();
+
+// Split a parameter list on top-level commas
+function splitParams(paramList) {
+    const params = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (let i = 0; i < paramList.length; i++) {
+        const char = paramList[i];
+        if (quote) {
+            if (char === '\\') {
+                current += char + paramList[++i];
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            params.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    params.push(current);
+    return params.map(param => param.trim()).filter(Boolean);
+}
+
+// Parse the parameter names of a function, e.g. ['id', 'options', '...rest']
+function getParamNames(fn) {
+    if (paramNameCache.has(fn)) {
+        return paramNameCache.get(fn);
+    }
+
+    const source = Function.prototype.toString.call(fn)
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+    let names = [];
+
+    const bareArrow = /^(?:async\s+)?([\w$]+)\s*=>/.exec(source);
+    if (bareArrow) {
+        names = [bareArrow[1]];
+    } else if (!/^class\b/.test(source) && source.includes('(')) {
+        // Find the parenthesis that closes the parameter list
+        const start = source.indexOf('(');
+        let depth = 0;
+        let end = start;
+        for (; end < source.length; end++) {
+            if (source[end] === '(') depth++;
+            if (source[end] === ')' && --depth === 0) break;
+        }
+
+        names = splitParams(source.slice(start + 1, end)).map(param => {
+            // Drop the default value (the first top-level '='); destructuring patterns are kept compact
+            let depth = 0;
+            let cut = param.length;
+            for (let i = 0; i < param.length; i++) {
+                if ('([{'.includes(param[i])) depth++;
+                else if (')]}'.includes(param[i])) depth--;
+                else if (param[i] === '=' && depth === 0) {
+                    cut = i;
+                    break;
+                }
+            }
+            return param.slice(0, cut).replace(/\s+/g, ' ').trim();
+        });
+    }
+
+    paramNameCache.set(fn, names);
+    return names;
+}
+
+// Label for the i-th argument, using parameter names where possible
+function getArgLabel(paramNames, i) {
+    const last = paramNames[paramNames.length - 1];
+    if (i < paramNames.length && !paramNames[i].startsWith('...')) {
+        return paramNames[i];
+    }
+    if (last && last.startsWith('...')) {
+        return `${last.slice(3)}[${i - paramNames.length + 1}]`;
+    }
+    return `arg${i}`;
+}
+
+function truncate(str, maxLength) {
+    if (!maxLength || str.length <= maxLength) return str;
+    return `${str.slice(0, maxLength)}… (${str.length - maxLength} more)`;
+}
+
+// Check a member name against include/exclude lists of names or RegExps
+function matchesMember(name, list) {
+    return list.some(pattern => (pattern instanceof RegExp ? pattern.test(name) : pattern === name));
+}
+
+// Validators for every option, used for code, environment and config file settings
+// (each receives the value and the levels of the logger being configured)
+const isLevel = (value, levels = logLevels) => typeof value === 'string' && levels[value] !== undefined;
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+const isTransport = (value, levels) => typeof value === 'string' || (typeof value === 'object' && value !== null && typeof value.log === 'function'
+    && (value.level === undefined || value.level === null || isLevel(value.level, levels))
+    && (!value.namespaces || isNamespaceSpec(value.namespaces, levels)));
+
+// Redaction settings: optional key paths (strings) and patterns (strings or RegExps)
+const isSerializeLimits = (value) => isPlainObject(value)
+    && ['maxDepth', 'maxArrayLength', 'maxStringLength'].every(key => value[key] === undefined || (typeof value[key] === 'number' && value[key] > 0));
+
+const isRedactConfig = (value) => isPlainObject(value)
+    && (value.paths === undefined || (Array.isArray(value.paths) && value.paths.every(item => typeof item === 'string')))
+    && (value.patterns === undefined || (Array.isArray(value.patterns) && value.patterns.every(item => typeof item === 'string' || item instanceof RegExp)));
+
+function isNamespaceSpec(value, levels) {
+    try {
+        compileNamespaces(value, levels);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+const optionValidators = {
+    showTimestamp: ['a boolean', (value) => typeof value === 'boolean'],
+    logToFile: ['a boolean', (value) => typeof value === 'boolean'],
+    defaultLevel: ['a log level', isLevel],
+    showSourceLocation: ['a boolean', (value) => typeof value === 'boolean'],
+    enableEmoji: ["a boolean or 'auto'", (value) => typeof value === 'boolean' || value === 'auto'],
+    color: ["a boolean, 'auto' or a color level from 0 to 3", (value) => typeof value === 'boolean' || value === 'auto' || [0, 1, 2, 3].includes(value)],
+    theme: ['a theme name or object', (value) => typeof value === 'string' || isPlainObject(value)],
+    minLevel: ['a log level', isLevel],
+    enabledNamespaces: ['a string', (value) => typeof value === 'string'],
+    transports: ['a transport or an array of transports', (value, levels) => (Array.isArray(value)
+        ? value.every(transport => isTransport(transport, levels))
+        : isTransport(value, levels))],
+    format: ['a string', (value) => typeof value === 'string'],
+    formatFn: ['a function or null', (value) => value === null || typeof value === 'function'],
+    deduplicateErrors: ['a boolean', (value) => typeof value === 'boolean'],
+    errorWindowMs: ['a positive number', (value) => typeof value === 'number' && value > 0],
+    maxDuplicateCount: ['a non-negative number', (value) => typeof value === 'number' && value >= 0],
+    serialize: ['an object with positive maxDepth, maxArrayLength and maxStringLength', isSerializeLimits],
+    histogramBuckets: ['an array of numbers', (value) => Array.isArray(value) && value.every(n => typeof n === 'number')],
+    timerBuckets: ['an array of numbers', (value) => Array.isArray(value) && value.every(n => typeof n === 'number')],
+    redact: ['an object with paths (strings) and patterns (strings or RegExps), or null', (value) => value === null || isRedactConfig(value)],
+    flightRecorder: ['an object or null', (value) => value === null || isPlainObject(value)],
+    sampling: ['an object or null', (value) => value === null || isPlainObject(value)]
+};
+
+// Throw a descriptive error for unknown keys and invalid values
+function validateOptions(newOptions, origin, levels = logLevels) {
+    if (!isPlainObject(newOptions)) {
+        throw new Error(`Invalid options from ${origin}: expected an object`);
+    }
+
+    Object.keys(newOptions).forEach(key => {
+        const validator = optionValidators[key];
+        if (!validator) {
+            throw new Error(`Unknown option "${key}" in ${origin}. Valid options: ${Object.keys(optionValidators).join(', ')}`);
+        }
+
+        const [expected, isValid] = validator;
+        if (!isValid(newOptions[key], levels)) {
+            const levelHint = expected === 'a log level' ? ` (${Object.keys(levels).join(', ')})` : '';
+            throw new Error(`Invalid value for option "${key}" in ${origin}: expected ${expected}${levelHint}, got ${formatValue(newOptions[key])}`);
+        }
+    });
+}
+
+// Environment variables and the options they set
+const envVariables = [
+    ['CONSOLE_GENIUS_LEVEL', 'minLevel', (value) => value.trim().toLowerCase()],
+    ['CONSOLE_GENIUS_NAMESPACES', 'enabledNamespaces', (value) => value],
+    // 'pretty' selects the default colored layout
+    ['CONSOLE_GENIUS_FORMAT', 'format', (value) => (value === 'pretty' ? prettyFormat : value)],
+    ['NO_COLOR', 'color', () => false],
+    // FORCE_COLOR wins over NO_COLOR, as in Node itself
+    ['FORCE_COLOR', 'color', (value) => (value === '0' || value === 'false' ? false : Math.min(Math.floor(Number(value)), 3) || true)]
+];
+
+// Read options from the environment as [variable, options] pairs
+function readEnvOptions(env = process.env) {
+    return envVariables
+        .filter(([name]) => env[name] !== undefined && env[name] !== '')
+        .map(([name, key, parse]) => [name, { [key]: parse(env[name]) }]);
+}
+
+// Turn transport declarations from a config file into transports
+function createConfiguredTransport(declaration) {
+    if (typeof declaration === 'string' || typeof declaration.log === 'function') {
+        return declaration;
+    }
+
+    const { type, path: filePath, url, ...transportOptions } = declaration;
+    switch (type) {
+        case 'console':
+            return Object.keys(transportOptions).length > 0 ? new ConsoleTransport(transportOptions) : 'console';
+        case 'file':
+            return new FileTransport(filePath, transportOptions);
+        case 'http':
+            return new HttpTransport(url, transportOptions);
+        case 'worker':
+            return new WorkerTransport(transportOptions);
+        default:
+            throw new Error(`Unknown transport type "${type}" in config file`);
+    }
+}
+
+// Transports created from config file declarations, closed when a later config load replaces them
+const configuredTransports = new WeakSet();
+
+// Path of console-genius.config.json or .js (CONSOLE_GENIUS_CONFIG points to another file), or null
+function findConfigFile(env = process.env) {
+    const candidates = env.CONSOLE_GENIUS_CONFIG
+        ? [path.resolve(env.CONSOLE_GENIUS_CONFIG)]
+        : ['console-genius.config.json', 'console-genius.config.js'].map(file => path.resolve(file));
+    const configPath = candidates.find(file => fs.existsSync(file));
+
+    if (!configPath && env.CONSOLE_GENIUS_CONFIG) {
+        throw new Error(`Config file not found: ${env.CONSOLE_GENIUS_CONFIG}`);
+    }
+    return configPath || null;
+}
+
+// Turn the transport declarations of a config file's options into transports
+function createConfiguredOptions(fileOptions) {
+    if (!isPlainObject(fileOptions) || fileOptions.transports === undefined) {
+        return fileOptions;
+    }
+
+    const declarations = Array.isArray(fileOptions.transports) ? fileOptions.transports : [fileOptions.transports];
+    const transports = declarations.map(createConfiguredTransport);
+    transports.filter(transport => typeof transport === 'object').forEach(transport => configuredTransports.add(transport));
+    return { ...fileOptions, transports };
+}
+
+function readJsonConfig(configPath) {
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+        throw new Error(`Invalid JSON in ${configPath}: ${err.message}`);
+    }
+}
+
+// Load the config file, JSON or a module with a default export (transports still as declarations)
+async function readConfigFile(env = process.env) {
+    const configPath = findConfigFile(env);
+    if (!configPath) {
+        return { configPath: null, fileOptions: {} };
+    }
+
+    let fileOptions;
+    if (configPath.endsWith('.json')) {
+        fileOptions = readJsonConfig(configPath);
+    } else {
+        const module = await import(pathToFileURL(configPath).href);
+        fileOptions = module.default || {};
+    }
+    return { configPath, fileOptions };
+}
+
+// Apply startup configuration to a logger: defaults < config file < environment < code. Runs on
+// import, so it only reads JSON config files (a JS config needs dbg.loadConfig()), and bad values
+// are reported through the logger instead of failing the import
+function loadStartupConfig(logger) {
+    const report = (err) => logger('console-genius').error('Invalid log configuration ignored', err);
+
+    try {
+        const configPath = findConfigFile();
+        if (configPath && configPath.endsWith('.json')) {
+            logger.setOptions(createConfiguredOptions(readJsonConfig(configPath)), path.basename(configPath));
+        }
+    } catch (err) {
+        report(err);
+    }
+
+    readEnvOptions().forEach(([name, envOptions]) => {
+        try {
+            logger.setOptions(envOptions, `environment variable ${name}`);
+        } catch (err) {
+            report(err);
+        }
+    });
+}
+
+// Options that can be changed at runtime through the control channel
+const controlOptionKeys = ['minLevel', 'enabledNamespaces', 'format', 'showSourceLocation', 'sampling'];
+
+// Next more verbose level, wrapping back to baseLevel after trace
+function nextVerbosity(currentLevel, baseLevel, levels) {
+    const verbose = Object.keys(levels)
+        .filter(level => levels[level] < levels[currentLevel])
+        .sort((a, b) => levels[b] - levels[a]);
+    return verbose.length > 0 ? verbose[0] : baseLevel;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(`${JSON.stringify(body)}\n`);
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (err) {
+                reject(new Error('Request body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Build the key for a series, e.g. http_requests{route="/users",status="200"}
+function getSeriesKey(name, labels) {
+    if (!labels || Object.keys(labels).length === 0) {
+        return name;
+    }
+
+    const labelStr = Object.keys(labels)
+        .sort()
+        .map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+        .join(',');
+    return `${name}{${labelStr}}`;
+}
+
+// Create an empty bucketed histogram
+function createHistogram(buckets) {
+    return {
+        buckets,
+        counts: new Array(buckets.length + 1).fill(0), // Last slot counts values above every bound
+        count: 0,
+        sum: 0,
+        min: Infinity,
+        max: -Infinity
+    };
+}
+
+function observe(histogram, value) {
+    let i = 0;
+    while (i < histogram.buckets.length && value > histogram.buckets[i]) {
+        i++;
+    }
+    histogram.counts[i]++;
+    histogram.count++;
+    histogram.sum += value;
+    histogram.min = Math.min(histogram.min, value);
+    histogram.max = Math.max(histogram.max, value);
+}
+
+// Estimate a quantile by interpolating inside the bucket that holds it
+function estimateQuantile(histogram, q) {
+    if (histogram.count === 0) return 0;
+
+    const rank = q * histogram.count;
+    let cumulative = 0;
+    for (let i = 0; i < histogram.counts.length; i++) {
+        const bucketCount = histogram.counts[i];
+        if (cumulative + bucketCount >= rank && bucketCount > 0) {
+            const lower = Math.max(i === 0 ? histogram.min : histogram.buckets[i - 1], histogram.min);
+            const upper = Math.min(i < histogram.buckets.length ? histogram.buckets[i] : histogram.max, histogram.max);
+            return lower + (upper - lower) * ((rank - cumulative) / bucketCount);
+        }
+        cumulative += bucketCount;
+    }
+    return histogram.max;
+}
+
+// Summary of a histogram for getStats()
+function summarizeHistogram(histogram) {
+    // Cumulative counts, like Prometheus le buckets
+    let cumulative = 0;
+    const buckets = histogram.buckets.map((bound, i) => {
+        cumulative += histogram.counts[i];
+        return { le: bound, count: cumulative };
+    });
+    buckets.push({ le: '+Inf', count: histogram.count });
+
+    return {
+        count: histogram.count,
+        total: histogram.sum,
+        min: histogram.count > 0 ? histogram.min : 0,
+        max: histogram.count > 0 ? histogram.max : 0,
+        avg: histogram.count > 0 ? histogram.sum / histogram.count : 0,
+        p50: estimateQuantile(histogram, 0.5),
+        p90: estimateQuantile(histogram, 0.9),
+        p95: estimateQuantile(histogram, 0.95),
+        p99: estimateQuantile(histogram, 0.99),
+        buckets
+    };
+}
+
+// Helper to map an object of series through fn
+function mapSeries(collection, fn) {
+    return Object.keys(collection).reduce((acc, key) => {
+        acc[key] = fn(collection[key]);
+        return acc;
+    }, {});
+}
+
+// Make a metric name valid for Prometheus
+function toPrometheusName(name, prefix = '') {
+    // Colons are reserved for recording rules, so namespaced names become db_queries
+    const sanitized = `${prefix}${name}`.replace(/[^a-zA-Z0-9_]/g, '_');
+    return /^[a-zA-Z_]/.test(sanitized) ? sanitized : `_${sanitized}`;
+}
+
+// Format a number the way the exposition format expects
+function toPrometheusValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(Number(value)) ? 'NaN' : String(Number(value));
+}
+
+// Render the label set of a series, optionally with extra labels such as le
+function toPrometheusLabels(labels, extra) {
+    const all = { ...labels, ...extra };
+    const keys = Object.keys(all);
+    if (keys.length === 0) return '';
+
+    return `{${keys.map(key => {
+        const labelName = key.replace(/[^a-zA-Z0-9_]/g, '_');
+        const value = String(all[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${labelName}="${value}"`;
+    }).join(',')}}`;
+}
+
+// Group the series of a collection by metric name, using the registered labels
+function groupSeries(collection, series) {
+    const groups = {};
+    Object.keys(collection).forEach(key => {
+        const { name, labels } = series[key] || { name: key, labels: {} };
+        if (!groups[name]) {
+            groups[name] = [];
+        }
+        groups[name].push({ labels, value: collection[key] });
+    });
+    return groups;
+}
+
+// Render a bucketed histogram with cumulative le buckets
+function renderHistogram(metricName, help, series) {
+    const lines = [`# HELP ${metricName} ${help}`, `# TYPE ${metricName} histogram`];
+    series.forEach(({ labels, value: histogram }) => {
+        let cumulative = 0;
+        histogram.buckets.forEach((bound, i) => {
+            cumulative += histogram.counts[i];
+            lines.push(`${metricName}_bucket${toPrometheusLabels(labels, { le: toPrometheusValue(bound) })} ${cumulative}`);
+        });
+        lines.push(
+            `${metricName}_bucket${toPrometheusLabels(labels, { le: '+Inf' })} ${histogram.count}`,
+            `${metricName}_sum${toPrometheusLabels(labels)} ${toPrometheusValue(histogram.sum)}`,
+            `${metricName}_count${toPrometheusLabels(labels)} ${histogram.count}`
+        );
+    });
+    return lines;
+}
+
+// Generate a signature for an error to identify duplicates
+function getErrorSignature(error) {
+    if (typeof error !== 'object' || error === null) {
+        return String(error);
+    }
+    
+    // For Error objects, combine message and a portion of the stack
+    if (error instanceof Error) {
+        // Extract first 3 lines of stack trace for the signature
+        const stackSample = error.stack
+            ? error.stack.split('\n').slice(0, 3).join('\n')
+            : '';
+        
+        return `${error.name}:${error.message}:${stackSample}`;
+    }
+    
+    // For other objects, use a simplified JSON representation
+    try {
+        return JSON.stringify(error);
+    } catch (e) {
+        return Object.prototype.toString.call(error);
+    }
+}
+
+// Create a logger with its own options, transports, metrics, exporters and error cache
+function createLogger(initialOptions = {}) {
+    // Private chalk instance, so turning colors off does not affect the host app
+    const colorizer = new chalk.Instance();
+
+    // Options of this logger
+    let options = { ...defaultOptions, transports: [...defaultOptions.transports] };
+
+    // Track time between logs
+    let lastLogTime = Date.now();
+
+    // Levels of this logger (addLevel adds to these)
+    const levels = { ...logLevels };
+
+    // Color, emoji and ASCII badge of custom levels, used unless the theme has its own
+    const customLevelStyles = {};
+
+    // Display settings, rebuilt from the theme, color and enableEmoji options by applyDisplay()
+    const colors = {};           // Level -> style function
+    let levelStyles = {};        // Level -> { color, emoji, ascii }
+    let partStyles = {};         // Styles for the source location and group titles
+    let badgeKind = 'emoji';     // 'emoji', 'ascii' or null for no badge
+
+    function applyDisplay() {
+        const theme = resolveTheme(options.theme);
+
+        if (options.color === 'auto') {
+            colorizer.level = detectColorLevel();
+        } else if (typeof options.color === 'number') {
+            colorizer.level = options.color;
+        } else {
+            colorizer.level = options.color ? Math.max(detectColorLevel(), 1) : 0;
+        }
+
+        if (options.enableEmoji === 'auto') {
+            badgeKind = detectEmojiSupport() ? 'emoji' : 'ascii';
+        } else {
+            badgeKind = options.enableEmoji ? 'emoji' : null;
+        }
+
+        levelStyles = {};
+        Object.keys(levels).forEach(level => {
+            levelStyles[level] = { ...customLevelStyles[level], ...theme.levels[level] };
+            colors[level] = toStyle(colorizer, levelStyles[level].color);
+        });
+        partStyles = {
+            source: toStyle(colorizer, theme.source),
+            group: toStyle(colorizer, theme.group)
+        };
+    }
+
+    // Badge shown before each entry: an emoji, its ASCII fallback, or nothing
+    function getBadge(level) {
+        const style = levelStyles[level] || {};
+        if (badgeKind === 'emoji') return style.emoji || '📋';
+        if (badgeKind === 'ascii') return style.ascii || '*';
+        return '';
+    }
+
+    // Transport registry
+    const transportRegistry = {
+        console: new ConsoleTransport(),
+        file: FileTransport,
+        http: HttpTransport
+    };
+
+    // Metrics storage
+    const metrics = {
+        counters: {},
+        gauges: {},
+        histograms: {},
+        timers: {},
+        series: {},   // Series key -> { name, labels }
+        buckets: {}   // Per-name bucket boundaries set with setBuckets()
+    };
+
+    // Store for seen errors
+    const errorCache = {
+        errors: new Map(),
+        cleanup: null
+    };
+
+    // Compiled redaction rules, rebuilt when options.redact changes
+    let redaction = null;
+
+    // Return a copy of value with sensitive paths and patterns censored
+    function redact(value) {
+        return redaction ? redactValue(value, redaction) : value;
+    }
+
+    // Compiled namespace filter, rebuilt when options.enabledNamespaces changes
+    let namespaceFilter = null;
+
+    // Resolve whether a namespace is enabled and its minimum level (null means the global minLevel)
+    function getNamespaceFilter() {
+        if (!namespaceFilter || namespaceFilter.source !== options.enabledNamespaces) {
+            namespaceFilter = compileNamespaces(options.enabledNamespaces, levels);
+        }
+        return namespaceFilter;
+    }
+
+    function resolveNamespace(namespace) {
+        return matchNamespace(getNamespaceFilter(), namespace);
+    }
+
+    // Lowest severity any namespace can log at (minLevel or a lower =level override), so that most
+    // filtered-out calls return before the namespace lookup
+    let levelFloor = null;
+
+    function getLevelFloor() {
+        const filter = getNamespaceFilter();
+        if (!levelFloor || levelFloor.minLevel !== options.minLevel || levelFloor.filter !== filter) {
+            const overrides = filter.include.filter(pattern => pattern.level).map(pattern => levels[pattern.level]);
+            levelFloor = { minLevel: options.minLevel, filter, severity: Math.min(levels[options.minLevel], ...overrides) };
+        }
+        return levelFloor.severity;
+    }
+
+    // Check if a log should be shown based on level and namespace
+    function shouldLog(level, namespace = 'default') {
+        const { enabled, level: namespaceLevel } = resolveNamespace(namespace);
+        if (!enabled) {
+            return false;
+        }
+
+        // Check log level, using the namespace's own level if it has one
+        return !(levels[level] < levels[namespaceLevel || options.minLevel]);
+    }
+
+    // Colored [LEVEL] label (records read back from files may have levels this logger does not know)
+    function formatLevel(level) {
+        const style = colors[level] || ((text) => text);
+        return style(`[${level.toUpperCase()}]`);
+    }
+
+    // Parse a format string and apply it to a log entry
+    function formatLog(format, logEntry) {
+        return format.replace(/\${(\w+)}/g, (match, key) => {
+            switch (key) {
+                case 'emoji':
+                    return getBadge(logEntry.level);
+                case 'level':
+                    return formatLevel(logEntry.level);
+                case 'timestamp':
+                    return logEntry.timestamp;
+                case 'source':
+                    return logEntry.source ? `(${partStyles.source(logEntry.source)})` : '';
+                case 'timeDiff':
+                    return prettyMs(logEntry.timeDiff);
+                case 'message':
+                    return logEntry.message;
+                case 'metadata':
+                    return logEntry.metadata !== null ? formatValue(logEntry.metadata, options.serialize) : '';
+                case 'namespace':
+                    return logEntry.namespace ? `[${logEntry.namespace}]` : '';
+                case 'group':
+                    return logEntry.group ? `[${logEntry.group.path.join(' > ')}]` : '';
+                default:
+                    return match; // Keep the placeholder if not recognized
+            }
+        });
+    }
+
+    // The colored console layout, honoring showTimestamp, showSourceLocation, enableEmoji and the theme
+    function formatPretty(logEntry) {
+        const logParts = [];
+
+        // Emoji or ASCII badge
+        const badge = getBadge(logEntry.level);
+        if (badge) {
+            logParts.push(badge);
+        }
+
+        // Level
+        logParts.push(formatLevel(logEntry.level));
+
+        // Replayed by the flight recorder
+        if (logEntry.buffered) {
+            logParts.push(partStyles.source('[buffered]'));
+        }
+
+        // Timestamp
+        if (options.showTimestamp && logEntry.timestamp) {
+            logParts.push(logEntry.timestamp);
+        }
+
+        // Source location
+        if (logEntry.source) {
+            logParts.push(`(${partStyles.source(logEntry.source)})`);
+        }
+
+        // Namespace
+        if (logEntry.namespace !== 'default') {
+            logParts.push(`[${logEntry.namespace}]`);
+        }
+
+        // Time diff
+        logParts.push(`+${logEntry.elapsed}`);
+
+        // Message, styled as a title when it opens a group
+        const group = logEntry.group || null;
+        logParts.push('-');
+        if (group && group.event === 'start') {
+            logParts.push(partStyles.group(logEntry.message));
+            if (group.collapsed) {
+                logParts.push(partStyles.source('[collapsed]'));
+            }
+        } else {
+            logParts.push(logEntry.message);
+        }
+
+        // Metadata
+        if (logEntry.metadata !== null) {
+            logParts.push(formatValue(logEntry.metadata, options.serialize));
+        }
+
+        // Indented under the group, a group's own entries at the level of its parent
+        const depth = group ? (group.event ? group.depth - 1 : group.depth) : 0;
+        if (depth > 0) {
+            const indent = '  '.repeat(depth);
+            return indent + logParts.join(' ').replace(/\n/g, `\n${indent}`);
+        }
+        return logParts.join(' ');
+    }
+
+    // Render an entry with a format function, 'pretty', 'json' or a format string
+    function renderEntry(format, logEntry) {
+        if (typeof format === 'function') {
+            return format(logEntry);
+        }
+        if (format === 'json') {
+            // Structured mode: one NDJSON line per entry
+            return formatJson(logEntry, options.serialize);
+        }
+        if (!format || format === 'pretty' || format === prettyFormat) {
+            return formatPretty(logEntry);
+        }
+        return formatLog(format, logEntry);
+    }
+
+    // Render a record read back from an NDJSON log with this logger's format and theme
+    function formatRecord(record) {
+        return renderEntry(options.format, fromRecord(record));
+    }
+
+    // Predicate selecting records read back from NDJSON logs by minimum level, namespace globs
+    // (with =level overrides, as in enabledNamespaces), time range and field conditions
+    function createRecordFilter(criteria = {}) {
+        const { level = null, namespaces = null, since = null, until = null, where = [] } = criteria;
+        if (level !== null && !isLevel(level, levels)) {
+            throw new Error(`Unknown log level "${level}" (${Object.keys(levels).join(', ')})`);
+        }
+
+        const recordNamespaces = namespaces ? compileNamespaces(namespaces, levels) : null;
+        const from = since === null ? -Infinity : parseTime(since);
+        const to = until === null ? Infinity : parseTime(until);
+        const conditions = [].concat(where).map(compileFieldCondition);
+
+        return (record) => {
+            if (record === null || typeof record !== 'object') {
+                return false;
+            }
+
+            let minLevel = level;
+            if (recordNamespaces) {
+                const match = matchNamespace(recordNamespaces, record.namespace || 'default');
+                if (!match.enabled) {
+                    return false;
+                }
+                minLevel = match.level || minLevel;
+            }
+            // A level this logger does not know never passes a level filter
+            if (minLevel && !(levels[record.level] >= levels[minLevel])) {
+                return false;
+            }
+
+            if (since !== null || until !== null) {
+                const time = Date.parse(record.time);
+                if (!(time >= from && time <= to)) {
+                    return false;
+                }
+            }
+            return conditions.every(condition => condition(record));
+        };
+    }
+
+    // Transports currently enabled, with names looked up in the registry
+    function getTransports() {
+        if (typeof options.transports === 'string') {
+            options.transports = [options.transports]; // Convert string to array
+        }
+
+        return options.transports
+            .map(transport => (typeof transport === 'string' ? transportRegistry[transport] : transport))
+            .filter(transport => transport && typeof transport.log === 'function');
+    }
+
+    // Flight recorder settings, rebuilt when options.flightRecorder changes
+    let recorder = null;
+
+    // Recent entries per namespace ('*' when buffers are shared), oldest first
+    const recorderBuffers = new Map();
+    let recorderSeq = 0;
+    let recorderFile = null;
+
+    function configureRecorder(settings) {
+        recorder = settings;
+        recorderBuffers.clear();
+        if (recorderFile && (!settings || settings.file !== recorderFile.filePath)) {
+            recorderFile.close();
+            recorderFile = null;
+        }
+    }
+
+    // Keep an entry in its ring buffer, dropping the oldest when it is full
+    function recordEntry(logEntry) {
+        const key = recorder.perNamespace ? logEntry.namespace : '*';
+        if (!recorderBuffers.has(key)) {
+            recorderBuffers.set(key, []);
+        }
+
+        const buffer = recorderBuffers.get(key);
+        const item = { seq: recorderSeq++, entry: logEntry, delivered: false };
+        buffer.push(item);
+        if (buffer.length > recorder.size) {
+            buffer.shift();
+        }
+        return item;
+    }
+
+    // Remove and return the buffered entries of a namespace, or of every buffer
+    function takeBuffered(namespace) {
+        const keys = namespace === undefined || !recorder.perNamespace ? [...recorderBuffers.keys()] : [namespace];
+        const items = keys.flatMap(key => recorderBuffers.get(key) || []);
+        keys.forEach(key => recorderBuffers.delete(key));
+        return items.sort((a, b) => a.seq - b.seq);
+    }
+
+    // Write buffered entries to the recorder file, or replay the ones not shown yet to the transports
+    function dumpItems(items) {
+        if (recorder.file) {
+            if (!recorderFile) {
+                recorderFile = new FileTransport(recorder.file, { format: 'json' });
+            }
+            items.forEach(({ entry }) => recorderFile.log({ ...entry, buffered: true }));
+            return items.length;
+        }
+
+        const replayed = items.filter(item => !item.delivered);
+        const transports = getTransports();
+        replayed.forEach(({ entry }) => {
+            const logEntry = { ...entry, buffered: true };
+            // The same per-transport level, namespace and filter checks as log()
+            const targets = transports.filter(transport => transportAccepts(transport, logEntry.level, logEntry.namespace, levels)
+                && (typeof transport.filter !== 'function' || transport.filter(logEntry)));
+            if (targets.length > 0) {
+                deliver(targets, logEntry);
+            }
+        });
+        return replayed.length;
+    }
+
+    // Flush the flight recorder on demand; returns the number of entries written
+    function dumpBuffer(namespace) {
+        if (!recorder) {
+            return 0;
+        }
+        return dumpItems(takeBuffered(namespace));
+    }
+
+    // Format an entry for the transports that accepted it and hand it over
+    function deliver(targets, logEntry) {
+        // The logger's own format is only rendered if a transport without a formatter needs it
+        if (targets.some(transport => !transport.formatter && !formatsOwnEntries(transport))) {
+            logEntry.formattedMessage = renderEntry(options.format, logEntry);
+            // A custom format function receives the entry already formatted
+            if (typeof options.formatFn === 'function') {
+                logEntry.formattedMessage = options.formatFn(logEntry);
+            }
+        }
+
+        // File, HTTP and worker transports without a format of their own follow the logger's, and
+        // all of them apply its serialize limits
+        const settings = { format: options.format, serialize: options.serialize };
+        targets.forEach(transport => {
+            if (transport.formatter) {
+                transport.log({ ...logEntry, formattedMessage: renderEntry(transport.formatter, logEntry) }, settings);
+            } else {
+                transport.log(logEntry, settings);
+            }
+        });
+    }
+
+    // Sampling rules, rebuilt when options.sampling changes
+    let sampler = null;
+
+    // Messages dropped by sampling since the last summary, per namespace and level
+    const suppressed = new Map();
+    let summaryTimer = null;
+    let summarizing = false;
+
+    function configureSampling(settings) {
+        emitSuppressedSummary();
+        clearInterval(summaryTimer);
+        summaryTimer = null;
+        sampler = settings;
+
+        if (sampler) {
+            summaryTimer = setInterval(emitSuppressedSummary, sampler.summaryInterval);
+            summaryTimer.unref();
+        }
+    }
+
+    // Apply the first matching sampling rule; false means the entry is dropped
+    function admit(level, namespace) {
+        if (!sampler || summarizing) {
+            return true;
+        }
+
+        const rule = sampler.rules.find(candidate => samplingRuleApplies(candidate, level, namespace, levels));
+        if (!rule) {
+            return true;
+        }
+
+        const admitted = !(rule.sampleRate < 1 && Math.random() >= rule.sampleRate)
+            && (!rule.maxPerSecond || takeToken(rule, namespace));
+        if (!admitted) {
+            const counts = suppressed.get(namespace) || {};
+            counts[level] = (counts[level] || 0) + 1;
+            suppressed.set(namespace, counts);
+        }
+        return admitted;
+    }
+
+    // Log a "suppressed N messages" entry for every namespace that had messages dropped
+    function emitSuppressedSummary() {
+        const pending = [...suppressed.entries()];
+        suppressed.clear();
+
+        summarizing = true;
+        try {
+            pending.forEach(([namespace, counts]) => {
+                const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+                log('warn', `Suppressed ${total} message${total === 1 ? '' : 's'} by sampling`, { suppressed: counts }, namespace);
+            });
+        } finally {
+            summarizing = false;
+        }
+    }
+
+    // Set by close(): entries logged afterwards are dropped
+    let closed = false;
+
+    // 'start' or 'end' while a group logs its own entries
+    let groupEvent = null;
+
+    // Open group carried across async calls; each logger has its own, so groups never cross loggers
+    const groupStorage = new AsyncLocalStorage();
+
+    // Get the group open in the current async context
+    function getActiveGroup() {
+        return groupStorage.getStore() || null;
+    }
+
+    // Base log function
+    function log(level, message, metadata = null, namespace = 'default', fields = null) {
+        // Cheapest checks first: most filtered-out calls end here
+        if (closed || (!recorder && levels[level] < getLevelFloor())) {
+            return;
+        }
+
+        // Check log level, namespace and sampling first (the flight recorder keeps hidden entries too)
+        const visible = shouldLog(level, namespace) && admit(level, namespace);
+        if (!visible && !recorder) {
+            return;
+        }
+
+        // Then the transports' own levels and namespaces, before any entry is built
+        let targets = visible ? getTransports().filter(transport => transportAccepts(transport, level, namespace, levels)) : [];
+        if (targets.length === 0 && !recorder) {
+            return;
+        }
+
+        // Fields from the async context come first, then child logger fields, then metadata
+        const context = contextStorage.getStore();
+        metadata = mergeFields(context ? { ...context, ...fields } : fields, metadata);
+
+        if (redaction) {
+            message = redact(message);
+            metadata = redact(metadata);
+        }
+
+        const now = new Date();
+        const timeDiff = now - lastLogTime;
+
+        // The caller and the local time are only worked out if something reads them
+        const callSite = options.showSourceLocation ? captureCallSite(log) : null;
+        let source = callSite ? null : '';
+        let timestamp = null;
+
+        // Create log entry object
+        const logEntry = {
+            level,
+            message,
+            metadata,
+            namespace,
+            get timestamp() {
+                if (timestamp === null) timestamp = now.toLocaleTimeString();
+                return timestamp;
+            },
+            set timestamp(value) {
+                timestamp = value;
+            },
+            isoTimestamp: now.toISOString(),
+            timeDiff,
+            get source() {
+                if (source === null) source = getCallerInfo(callSite);
+                return source;
+            },
+            set source(value) {
+                source = value;
+            },
+            elapsed: prettyMs(timeDiff),
+            context: context ? redact(context) : null
+        };
+
+        // Correlate with the active span, if any
+        const span = spanStorage.getStore();
+        if (span) {
+            logEntry.traceId = span.traceId;
+            logEntry.spanId = span.spanId;
+        }
+
+        // Place the entry in the open group, if any
+        const activeGroup = groupStorage.getStore();
+        if (activeGroup) {
+            logEntry.group = { id: activeGroup.id, path: activeGroup.path, depth: activeGroup.depth };
+            if (activeGroup.collapsed) {
+                logEntry.group.collapsed = true;
+            }
+            if (groupEvent) {
+                logEntry.group.event = groupEvent;
+            }
+        }
+
+        let recorded = null;
+        if (recorder) {
+            // Errors bring out the context that led up to them, before the error itself
+            if (visible && levels[level] >= levels[recorder.dumpLevel]) {
+                const items = takeBuffered(namespace);
+                if (recorder.attach) {
+                    logEntry.buffer = items.map(item => item.entry);
+                } else {
+                    dumpItems(items);
+                }
+            }
+            recorded = recordEntry(logEntry);
+        }
+
+        // Transport filters see the entry before formatting
+        targets = targets.filter(transport => typeof transport.filter !== 'function' || transport.filter(logEntry));
+        if (targets.length === 0) {
+            return;
+        }
+
+        // A collapsed group keeps what is logged inside it off the console until it ends
+        const folded = activeGroup && (groupEvent ? activeGroup.parent && activeGroup.parent.folded : activeGroup.folded);
+        if (folded && folded.duration === null) {
+            const consoles = targets.filter(transport => transport instanceof ConsoleTransport);
+            if (consoles.length > 0) {
+                folded.hide(logEntry, consoles);
+                targets = targets.filter(transport => !consoles.includes(transport));
+            }
+        }
+
+        lastLogTime = now;
+        if (recorded) {
+            recorded.delivered = true;
+        }
+
+        if (targets.length > 0) {
+            deliver(targets, logEntry);
+        }
+    }
+
+    // Registered span exporters
+    const spanExporters = [];
+
+    // Hand a finished span to the registered exporters
+    function exportSpan(span) {
+        if (redaction) {
+            span.attributes = redact(span.attributes);
+            span.events.forEach(event => {
+                event.attributes = redact(event.attributes);
+            });
+        }
+        spanExporters.forEach(exporter => {
+            try {
+                exporter.export([span]);
+            } catch (err) {
+                nativeConsole('error')('Span exporter failed:', err);
+            }
+        });
+    }
+
+    // Start a span; the parent defaults to the active span, null starts a new trace,
+    // and a traceparent string or span context continues a remote trace
+    function startSpan(name, spanOptions = {}) {
+        let parent = spanOptions.parent === undefined ? getActiveSpan() : spanOptions.parent;
+        if (typeof parent === 'string') {
+            parent = parseTraceparent(parent);
+        }
+        return new Span(name, { ...spanOptions, parent, onEnd: exportSpan });
+    }
+
+    // Run fn inside a new active span that ends when fn returns or its promise settles
+    function withSpan(name, fn, spanOptions) {
+        const span = startSpan(name, spanOptions);
+
+        return runWithSpan(span, () => {
+            const fail = (err) => {
+                span.recordException(err);
+                span.end();
+                throw err;
+            };
+
+            let result;
+            try {
+                result = fn(span);
+            } catch (err) {
+                fail(err);
+            }
+
+            if (result && typeof result.then === 'function') {
+                return result.then(value => {
+                    span.setStatus('OK');
+                    span.end();
+                    return value;
+                }, fail);
+            }
+
+            span.setStatus('OK');
+            span.end();
+            return result;
+        });
+    }
+
+    function addSpanExporter(exporter) {
+        if (!exporter || typeof exporter.export !== 'function') {
+            throw new Error('Span exporter must be an object with an export method');
+        }
+        spanExporters.push(exporter);
+    }
+
+    function removeSpanExporter(exporter) {
+        const index = spanExporters.indexOf(exporter);
+        if (index !== -1) {
+            spanExporters.splice(index, 1);
+        }
+    }
+
+    // Log a completed request at a level matching its status
+    function logRequest(settings, method, requestPath, status, startTime) {
+        const duration = Date.now() - startTime;
+        const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+        log(level, `${method} ${requestPath} ${status}`, {
+            method,
+            path: requestPath,
+            status,
+            duration
+        }, settings.namespace);
+    }
+
+    // Open the context and server span for an incoming request, continuing its traceparent if any
+    function startRequest(req, method, requestPath, settings) {
+        const context = createRequestContext(req, settings);
+        const span = startSpan(`${method} ${requestPath}`, {
+            parent: (req.headers && req.headers.traceparent) || null,
+            kind: 'server',
+            attributes: { 'http.method': method, 'http.target': requestPath }
+        });
+        const startTime = Date.now();
+
+        return {
+            run: (fn) => runWithContext(context, () => runWithSpan(span, fn)),
+            // Log the completed request and end its span
+            finish: (status) => runWithContext(context, () => runWithSpan(span, () => {
+                logRequest(settings, method, requestPath, status, startTime);
+                span.setAttribute('http.status_code', status);
+                if (status >= 500) {
+                    span.setStatus('ERROR', `HTTP ${status}`);
+                }
+                span.end();
+            }))
+        };
+    }
+
+    // Wrap a Node http request handler
+    function httpMiddleware(handler, middlewareOptions) {
+        const settings = getMiddlewareSettings(middlewareOptions);
+
+        return function (req, res) {
+            const request = startRequest(req, req.method, (req.url || '/').split('?')[0], settings);
+
+            return request.run(() => {
+                onResponseEnd(res, () => request.finish(res.statusCode));
+                return handler.call(this, req, res);
+            });
+        };
+    }
+
+    // Express/Connect middleware
+    function expressMiddleware(middlewareOptions) {
+        const settings = getMiddlewareSettings(middlewareOptions);
+
+        return (req, res, next) => {
+            const request = startRequest(req, req.method, (req.originalUrl || req.url || '/').split('?')[0], settings);
+
+            request.run(() => {
+                onResponseEnd(res, () => request.finish(res.statusCode));
+                next();
+            });
+        };
+    }
+
+    // Koa middleware
+    function koaMiddleware(middlewareOptions) {
+        const settings = getMiddlewareSettings(middlewareOptions);
+
+        return (ctx, next) => {
+            const request = startRequest(ctx.req, ctx.method, ctx.path, settings);
+
+            return request.run(async () => {
+                try {
+                    await next();
+                } catch (err) {
+                    request.finish(err.status || 500);
+                    throw err;
+                }
+                request.finish(ctx.status);
+            });
+        };
+    }
+
+    const middleware = {
+        http: httpMiddleware,
+        express: expressMiddleware,
+        koa: koaMiddleware
+    };
+
+    // Log a group's own start or end entry, inside the group
+    function logGroupEvent(group, event, level, message, metadata, namespace, fields) {
+        groupEvent = event;
+        try {
+            groupStorage.run(group, () => log(level, message, metadata, namespace, fields));
+        } finally {
+            groupEvent = null;
+        }
+    }
+
+    // Open a group; it logs its title now, and its duration and outcome when it ends
+    function startGroup(name, groupOptions = {}, namespace = 'default', fields = null) {
+        const settings = {
+            collapsed: false, // Keep the entries inside off the console unless the group fails
+            level: 'info',    // Level of the title and completion entries (failures are errors)
+            ...groupOptions
+        };
+        if (!isLevel(settings.level, levels)) {
+            throw new Error(`Unknown log level "${settings.level}" (${Object.keys(levels).join(', ')})`);
+        }
+
+        const group = new LogGroup(String(name), {
+            parent: getActiveGroup(),
+            collapsed: settings.collapsed,
+            onEnd: (ended) => {
+                // Leave the group if the current context is still inside it
+                let current = getActiveGroup();
+                while (current && current !== ended) {
+                    current = current.parent;
+                }
+                if (current) {
+                    groupStorage.enterWith(ended.parent || undefined);
+                }
+
+                const round = (ms) => Math.round(ms * 1000) / 1000;
+                const metadata = { duration: round(ended.duration) };
+                if (Object.keys(ended.nested).length > 0) {
+                    metadata.nested = Object.fromEntries(Object.entries(ended.nested).map(([name, ms]) => [name, round(ms)]));
+                }
+
+                // A failed collapsed group shows what it held back, then the failure
+                const hidden = ended.hidden;
+                ended.hidden = [];
+                if (ended.error === null) {
+                    logGroupEvent(ended, 'end', settings.level, `${ended.name} finished in ${prettyMs(ended.duration)}`, metadata, namespace, fields);
+                    return;
+                }
+                hidden.forEach(({ entry, targets }) => deliver(targets, entry));
+                metadata.err = ended.error;
+                logGroupEvent(ended, 'end', 'error', `${ended.name} failed after ${prettyMs(ended.duration)}`, metadata, namespace, fields);
+            }
+        });
+
+        logGroupEvent(group, 'start', settings.level, group.name, null, namespace, fields);
+        return group;
+    }
+
+    // Group the entries logged by fn, including its async work, ending the group when fn returns
+    // or its promise settles. Without fn the group stays open in the current context until end()
+    function group(name, fn, groupOptions, namespace = 'default', fields = null) {
+        if (typeof fn !== 'function') {
+            const opened = startGroup(name, fn || groupOptions, namespace, fields);
+            groupStorage.enterWith(opened);
+            return opened;
+        }
+
+        const opened = startGroup(name, groupOptions, namespace, fields);
+        return groupStorage.run(opened, () => {
+            const fail = (err) => {
+                opened.end(err);
+                throw err;
+            };
+
+            let result;
+            try {
+                result = fn(opened);
+            } catch (err) {
+                fail(err);
+            }
+
+            if (result && typeof result.then === 'function') {
+                return result.then(value => {
+                    opened.end();
+                    return value;
+                }, fail);
+            }
+
+            opened.end();
+            return result;
+        });
+    }
+
+    // Function tracing wrapper; each call runs in its own span
+    function traceFn(fn, traceOptions = {}, namespace = 'default', fields = null) {
+        const settings = {
+            name: fn.name || 'anonymous',
+            maxLength: null,   // Truncate each formatted argument and result
+            sampleRate: 1,     // Fraction of calls that are traced
+            slowThreshold: 0,  // Only log calls taking at least this many ms
+            ...traceOptions
+        };
+        const fnName = settings.name;
+        const paramNames = getParamNames(fn);
+        const describe = (value) => truncate(formatValue(redact(value), options.serialize), settings.maxLength);
+
+        const traced = function (...args) {
+            // Calls left out of the sample run untouched
+            if (settings.sampleRate < 1 && Math.random() >= settings.sampleRate) {
+                return fn.apply(this, args);
+            }
+
+            return withSpan(fnName, () => {
+                // Log function call with arguments (deferred when only slow calls are logged)
+                const argStr = args.map((arg, i) => `${getArgLabel(paramNames, i)}=${describe(arg)}`).join(', ');
+                const callMessage = `${fnName}(${argStr})`;
+                if (!settings.slowThreshold) {
+                    log('trace', callMessage, null, namespace, fields);
+                }
+
+                const startTime = Date.now();
+                const complete = (result) => {
+                    const duration = Date.now() - startTime;
+                    // Record the timing
+                    recordTiming(fnName, duration);
+                    if (duration >= settings.slowThreshold) {
+                        if (settings.slowThreshold) {
+                            log('trace', callMessage, null, namespace, fields);
+                        }
+                        log('return', `${fnName} → ${describe(result)} (${prettyMs(duration)})`, null, namespace, fields);
+                    }
+                    return result;
+                };
+
+                try {
+                    const result = fn.apply(this, args);
+
+                    // Handle promises
+                    if (result instanceof Promise) {
+                        return result.then(complete).catch(err => {
+                            logError(`${fnName} threw an error`, err, namespace, fields);
+                            throw err;
+                        });
+                    }
+
+                    // Handle synchronous functions
+                    return complete(result);
+                } catch (err) {
+                    logError(`${fnName} threw an error`, err, namespace, fields);
+                    throw err;
+                }
+            }, { attributes: { 'code.function': fnName, 'code.namespace': namespace } });
+        };
+
+        Object.defineProperty(traced, 'name', { value: fnName });
+        tracedFunctions.add(traced);
+        return traced;
+    }
+
+    // Replace methods and getters found on source (and, if walkChain, its prototypes) with traced versions on target
+    function instrumentMembers(target, source, label, traceOptions, namespace, fields, walkChain) {
+        const { include = null, exclude = [], ...fnOptions } = traceOptions;
+        const skip = new Set(['constructor', 'length', 'name', 'prototype', 'caller', 'arguments']);
+        const seen = new Set();
+
+        for (let proto = source; proto && proto !== Object.prototype && proto !== Function.prototype; proto = Object.getPrototypeOf(proto)) {
+            Object.getOwnPropertyNames(proto).forEach(key => {
+                if (seen.has(key) || skip.has(key)) return;
+                seen.add(key);
+
+                if (include && !matchesMember(key, include)) return;
+                if (matchesMember(key, exclude)) return;
+
+                const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+                const wrap = (fn, name) => (tracedFunctions.has(fn) ? fn : traceFn(fn, { ...fnOptions, name }, namespace, fields));
+
+                if (typeof descriptor.value === 'function' && !/^class\b/.test(Function.prototype.toString.call(descriptor.value))) {
+                    descriptor.value = wrap(descriptor.value, `${label}.${key}`);
+                } else if (typeof descriptor.get === 'function') {
+                    descriptor.get = wrap(descriptor.get, `${label}.get ${key}`);
+                } else {
+                    return;
+                }
+
+                try {
+                    Object.defineProperty(target, key, { ...descriptor, configurable: true });
+                } catch (err) {
+                    // Non-configurable members stay as they are
+                }
+            });
+
+            if (!walkChain) break;
+        }
+    }
+
+    // Trace every method and getter of an object, in place
+    function traceObject(obj, traceOptions = {}, namespace = 'default', fields = null) {
+        const label = (obj.constructor && obj.constructor !== Object && obj.constructor.name) || 'Object';
+        instrumentMembers(obj, obj, label, traceOptions, namespace, fields, true);
+        return obj;
+    }
+
+    // Trace every instance method, getter and static method of a class, in place
+    function traceClass(Class, traceOptions = {}, namespace = 'default', fields = null) {
+        const label = Class.name || 'AnonymousClass';
+        instrumentMembers(Class.prototype, Class.prototype, label, traceOptions, namespace, fields, true);
+        instrumentMembers(Class, Class, label, traceOptions, namespace, fields, false);
+        return Class;
+    }
+
+    // Object inspection
+    function inspect(obj, name = 'Object', namespace = 'default', fields = null) {
+        log('info', `Inspecting ${name}:`, null, namespace, fields);
+        console.dir(redact(obj), { colors: colorizer.level > 0, depth: null });
+        return obj;
+    }
+
+    // Set custom options
+    function setOptions(newOptions, origin = 'setOptions') {
+        validateOptions(newOptions, origin, levels);
+
+        // Compile first so an invalid namespace pattern, redaction pattern or recorder setting is reported before anything changes
+        let compiledNamespaces = null;
+        let compiledRecorder = null;
+        let compiledSampling = null;
+        let compiledRedaction = null;
+        try {
+            if ('redact' in newOptions) {
+                compiledRedaction = compileRedaction(newOptions.redact);
+            }
+            if ('theme' in newOptions) {
+                resolveTheme(newOptions.theme);
+            }
+            if ('enabledNamespaces' in newOptions) {
+                compiledNamespaces = compileNamespaces(newOptions.enabledNamespaces, levels);
+            }
+            if ('flightRecorder' in newOptions) {
+                compiledRecorder = compileFlightRecorder(newOptions.flightRecorder, levels);
+            }
+            if ('sampling' in newOptions) {
+                compiledSampling = compileSampling(newOptions.sampling, levels);
+            }
+        } catch (err) {
+            throw new Error(`${err.message} in ${origin}`);
+        }
+
+        options = { ...options, ...newOptions };
+
+        if ('redact' in newOptions) {
+            redaction = compiledRedaction;
+        }
+
+        if (compiledNamespaces) {
+            namespaceFilter = compiledNamespaces;
+        }
+
+        if ('flightRecorder' in newOptions) {
+            configureRecorder(compiledRecorder);
+        }
+
+        if ('sampling' in newOptions) {
+            configureSampling(compiledSampling);
+        }
+
+        if ('color' in newOptions || 'theme' in newOptions || 'enableEmoji' in newOptions) {
+            applyDisplay();
+        }
+
+        // If error deduplication options changed, reset the cleanup
+        if ('errorWindowMs' in newOptions) {
+            setupErrorCacheCleanup();
+        }
+    }
+
+    // Values to restore when temporary options expire
+    const revertState = {
+        previous: null,
+        timer: null,
+        revertAt: null
+    };
+
+    function getControlOptions() {
+        return controlOptionKeys.reduce((acc, key) => {
+            acc[key] = options[key];
+            return acc;
+        }, {});
+    }
+
+    // Put back the options saved by setTemporaryOptions
+    function revertTemporaryOptions() {
+        clearTimeout(revertState.timer);
+        if (revertState.previous) {
+            setOptions(revertState.previous, 'automatic revert');
+        }
+        revertState.previous = null;
+        revertState.timer = null;
+        revertState.revertAt = null;
+    }
+
+    // Apply options that switch back by themselves after durationMs
+    function setTemporaryOptions(newOptions, durationMs) {
+        if (!(durationMs > 0)) {
+            throw new Error('Temporary options need a positive duration');
+        }
+
+        // Keep the values from before the first temporary change
+        const previous = { ...revertState.previous };
+        Object.keys(newOptions).forEach(key => {
+            if (!(key in previous)) {
+                previous[key] = options[key];
+            }
+        });
+
+        setOptions(newOptions, 'temporary options');
+        revertState.previous = previous;
+        revertState.revertAt = Date.now() + durationMs;
+        clearTimeout(revertState.timer);
+        revertState.timer = setTimeout(revertTemporaryOptions, durationMs);
+        revertState.timer.unref();
+    }
+
+    // Load the config file (JSON or JS) and the environment, on top of the current options. Transports
+    // declared in the file replace the logger's, and those created by an earlier config load are closed
+    async function loadConfig() {
+        const { configPath, fileOptions } = await readConfigFile();
+        if (configPath) {
+            const previous = [].concat(options.transports);
+            setOptions(createConfiguredOptions(fileOptions), path.basename(configPath));
+            previous
+                .filter(transport => configuredTransports.has(transport) && ![].concat(options.transports).includes(transport))
+                .forEach(transport => {
+                    if (typeof transport.close === 'function') {
+                        Promise.resolve(transport.close()).catch(err => nativeConsole('error')('Failed to close transport:', err.message || err));
+                    }
+                });
+        }
+        readEnvOptions().forEach(([name, envOptions]) => {
+            setOptions(envOptions, `environment variable ${name}`);
+        });
+    }
+
+    // Re-read the config file and environment (transports are left as they are)
+    async function reloadConfig() {
+        const { configPath, fileOptions } = await readConfigFile();
+        if (configPath) {
+            const { transports, ...reloadable } = fileOptions;
+            setOptions(reloadable, path.basename(configPath));
+        }
+        readEnvOptions().forEach(([name, envOptions]) => {
+            setOptions(envOptions, `environment variable ${name}`);
+        });
+    }
+
+    // Handle GET/PUT/DELETE /options and POST /reload
+    async function handleControlRequest(req, res, settings) {
+        if (settings.token && req.headers.authorization !== `Bearer ${settings.token}`) {
+            return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const route = `${req.method} ${(req.url || '/').split('?')[0]}`;
+        const state = () => ({ options: getControlOptions(), revertAt: revertState.revertAt && new Date(revertState.revertAt).toISOString() });
+
+        try {
+            switch (route) {
+                case 'GET /options':
+                    return sendJson(res, 200, state());
+                case 'PUT /options':
+                case 'POST /options': {
+                    const { revertAfterMs = settings.revertAfterMs, ...newOptions } = await readJsonBody(req);
+                    const unknown = Object.keys(newOptions).filter(key => !controlOptionKeys.includes(key));
+                    if (unknown.length > 0) {
+                        return sendJson(res, 400, { error: `Options cannot be changed at runtime: ${unknown.join(', ')}` });
+                    }
+
+                    if (revertAfterMs) {
+                        setTemporaryOptions(newOptions, revertAfterMs);
+                    } else {
+                        setOptions(newOptions, 'control endpoint');
+                    }
+                    log('warn', 'Log options changed through the control endpoint', { ...newOptions, revertAfterMs: revertAfterMs || null }, 'console-genius');
+                    return sendJson(res, 200, state());
+                }
+                case 'DELETE /options':
+                    revertTemporaryOptions();
+                    return sendJson(res, 200, state());
+                case 'POST /reload':
+                    await reloadConfig();
+                    return sendJson(res, 200, state());
+                default:
+                    return sendJson(res, 404, { error: 'Not found' });
+            }
+        } catch (err) {
+            return sendJson(res, 400, { error: err.message });
+        }
+    }
+
+    // Open a control channel for changing log options in a running process
+    function enableControl(controlOptions = {}) {
+        const settings = {
+            signal: 'SIGUSR2',       // null to skip the signal handler
+            signalAction: 'cycle',   // 'cycle' through more verbose levels or 'reload' the config
+            port: null,              // HTTP endpoint on this port
+            host: '127.0.0.1',
+            socketPath: null,        // Or on a unix socket
+            token: null,             // Require "Authorization: Bearer <token>"
+            revertAfterMs: null,     // Default revert timeout for changes made through the endpoint
+            ...controlOptions
+        };
+
+        const baseLevel = options.minLevel;
+        const onSignal = () => {
+            if (settings.signalAction === 'reload') {
+                reloadConfig().catch(err => nativeConsole('error')('Failed to reload log config:', err.message));
+                return;
+            }
+            setOptions({ minLevel: nextVerbosity(options.minLevel, baseLevel, levels) }, settings.signal);
+            log('warn', `Log level changed to ${options.minLevel}`, null, 'console-genius');
+        };
+
+        if (settings.signal) {
+            process.on(settings.signal, onSignal);
+        }
+
+        let server = null;
+        if (settings.port !== null || settings.socketPath) {
+            server = http.createServer((req, res) => handleControlRequest(req, res, settings));
+            if (settings.socketPath) {
+                // Remove a socket left behind by a previous run
+                if (fs.existsSync(settings.socketPath)) {
+                    fs.unlinkSync(settings.socketPath);
+                }
+                server.listen(settings.socketPath);
+            } else {
+                server.listen(settings.port, settings.host);
+            }
+            server.unref();
+        }
+
+        return {
+            server,
+            close: () => new Promise(resolve => {
+                if (settings.signal) {
+                    process.removeListener(settings.signal, onSignal);
+                }
+                if (!server) return resolve();
+                server.close(() => resolve());
+            })
+        };
+    }
+
+    // Register a custom level with a method on this logger and on namespaced loggers created after it
+    function addLevel(name, levelOptions = {}) {
+        const { severity, color = null, emoji = null, ascii = null } = levelOptions;
+
+        if (typeof name !== 'string' || !/^[a-zA-Z]\w*$/.test(name)) {
+            throw new Error(`Invalid log level name: ${name}`);
+        }
+        if (levels[name] !== undefined) {
+            throw new Error(`Log level "${name}" already exists`);
+        }
+        if (name in dbg || name in createNamespace('default')) {
+            throw new Error(`"${name}" cannot be a log level, it is already a logger method`);
+        }
+        if (typeof severity !== 'number' || !Number.isFinite(severity)) {
+            throw new Error(`Log level "${name}" needs a numeric severity`);
+        }
+
+        // A chalk style such as 'magenta' or 'bgBlue.white', or a function
+        try {
+            toStyle(colorizer, color);
+        } catch (err) {
+            throw new Error(`${err.message} for log level "${name}"`);
+        }
+
+        levels[name] = severity;
+        customLevelStyles[name] = { color, emoji, ascii };
+        applyDisplay();
+        dbg[name] = (message, metadata) => log(name, message, metadata);
+    }
+
+    // Set log level
+    function setLevel(level) {
+        if (!isLevel(level, levels)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        options.minLevel = level;
+    }
+
+    // Add format setting functions
+    function setFormat(format) {
+        options.format = format;
+        options.formatFn = null; // Clear custom formatter
+    }
+
+    function setFormatFunction(fn) {
+        if (typeof fn !== 'function') {
+            throw new Error('Format function must be a function');
+        }
+        options.formatFn = fn;
+    }
+
+    // Add transport registration functions
+    function addTransport(transport) {
+        if (typeof options.transports === 'string') {
+            options.transports = [options.transports];
+        }
+
+        if (typeof transport === 'string') {
+            if (!transportRegistry[transport]) {
+                throw new Error(`Unknown transport: ${transport}`);
+            }
+            if (!options.transports.includes(transport)) {
+                options.transports.push(transport);
+            }
+        } else if (typeof transport === 'object' && typeof transport.log === 'function') {
+            // Same checks as setOptions, against this logger's levels
+            if (transport.level !== undefined && transport.level !== null && !isLevel(transport.level, levels)) {
+                throw new Error(`Unknown log level "${transport.level}" for transport (${Object.keys(levels).join(', ')})`);
+            }
+            if (transport.namespaces) {
+                try {
+                    compileNamespaces(transport.namespaces, levels);
+                } catch (err) {
+                    throw new Error(`Invalid namespaces for transport: ${err.message}`);
+                }
+            }
+            options.transports.push(transport);
+        } else {
+            throw new Error('Transport must be a string name or an object with a log method');
+        }
+    }
+
+    function removeTransport(transport) {
+        if (typeof options.transports === 'string') {
+            if (options.transports === transport) {
+                options.transports = [];
+            }
+            return;
+        }
+
+        const index = options.transports.indexOf(transport);
+        if (index !== -1) {
+            options.transports.splice(index, 1);
+        }
+    }
+
+    // Remember the name and labels behind a series key
+    function registerSeries(name, labels) {
+        const key = getSeriesKey(name, labels);
+        if (!metrics.series[key]) {
+            const sortedLabels = {};
+            Object.keys(labels || {}).sort().forEach(label => {
+                sortedLabels[label] = labels[label];
+            });
+            metrics.series[key] = { name, labels: sortedLabels };
+        }
+        return key;
+    }
+
+    // Set the bucket boundaries used for a histogram or timer name
+    function setBuckets(name, buckets) {
+        if (!Array.isArray(buckets) || buckets.some(bound => typeof bound !== 'number')) {
+            throw new Error('Buckets must be an array of numbers');
+        }
+        metrics.buckets[name] = [...buckets].sort((a, b) => a - b);
+
+        // Existing series of this name start over with the new boundaries
+        Object.keys(metrics.series).forEach(key => {
+            if (metrics.series[key].name === name) {
+                delete metrics.histograms[key];
+                delete metrics.timers[key];
+            }
+        });
+    }
+
+    // Timing functions
+    function startTimer(name, labels) {
+        const startTime = Date.now();
+        // Timers also show up in traces as children of the active span
+        const span = startSpan(name, { attributes: labels });
+        return {
+            stop: () => {
+                const duration = Date.now() - startTime;
+                recordTiming(name, duration, labels);
+                span.end();
+                return duration;
+            }
+        };
+    }
+
+    function recordTiming(name, durationMs, labels) {
+        const key = registerSeries(name, labels);
+        if (!metrics.timers[key]) {
+            metrics.timers[key] = createHistogram(metrics.buckets[name] || options.timerBuckets);
+        }
+        observe(metrics.timers[key], durationMs);
+    }
+
+    // Counter functions
+    function count(name, increment = 1, labels) {
+        const key = registerSeries(name, labels);
+        if (!metrics.counters[key]) {
+            metrics.counters[key] = 0;
+        }
+        metrics.counters[key] += increment;
+        return metrics.counters[key];
+    }
+
+    // Reset one counter (every label set of it) or all counters
+    function resetCounter(name) {
+        if (name) {
+            Object.keys(metrics.counters).forEach(key => {
+                if (metrics.series[key] && metrics.series[key].name === name) {
+                    metrics.counters[key] = 0;
+                }
+            });
+        } else {
+            metrics.counters = {};
+        }
+    }
+
+    // Gauge functions (set to specific value)
+    function gauge(name, value, labels) {
+        metrics.gauges[registerSeries(name, labels)] = value;
+        return value;
+    }
+
+    // Histogram (frequency distribution over fixed buckets, so memory stays bounded)
+    function recordValue(name, value, labels) {
+        const key = registerSeries(name, labels);
+        if (!metrics.histograms[key]) {
+            metrics.histograms[key] = createHistogram(metrics.buckets[name] || options.histogramBuckets);
+        }
+        observe(metrics.histograms[key], value);
+    }
+
+    // Get stats and metrics (labeled series are keyed as name{label="value"})
+    function getStats() {
+        return {
+            counters: { ...metrics.counters },
+            gauges: { ...metrics.gauges },
+            histograms: mapSeries(metrics.histograms, summarizeHistogram),
+            timers: mapSeries(metrics.timers, summarizeHistogram)
+        };
+    }
+
+    // Reset all metrics
+    function resetAllMetrics() {
+        metrics.counters = {};
+        metrics.gauges = {};
+        metrics.histograms = {};
+        metrics.timers = {};
+        metrics.series = {};
+    }
+
+    // Render all metrics in the Prometheus text exposition format
+    function renderMetrics(renderOptions = {}) {
+        const prefix = renderOptions.prefix || '';
+        const lines = [];
+
+        [['counters', 'counter'], ['gauges', 'gauge']].forEach(([collection, type]) => {
+            Object.entries(groupSeries(metrics[collection], metrics.series)).forEach(([name, series]) => {
+                const metricName = toPrometheusName(name, prefix);
+                lines.push(`# TYPE ${metricName} ${type}`);
+                series.forEach(({ labels, value }) => {
+                    lines.push(`${metricName}${toPrometheusLabels(labels)} ${toPrometheusValue(value)}`);
+                });
+            });
+        });
+
+        Object.entries(groupSeries(metrics.histograms, metrics.series)).forEach(([name, series]) => {
+            lines.push(...renderHistogram(toPrometheusName(name, prefix), `Recorded values of ${name}`, series));
+        });
+
+        Object.entries(groupSeries(metrics.timers, metrics.series)).forEach(([name, series]) => {
+            lines.push(...renderHistogram(toPrometheusName(name, prefix), `Duration of ${name} in milliseconds`, series));
+        });
+
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    // HTTP request handler that serves the metrics to a Prometheus scraper
+    function metricsHandler(renderOptions) {
+        return (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(renderMetrics(renderOptions));
+        };
+    }
+
+    // Start a standalone HTTP server exposing the metrics
+    function serveMetrics(serveOptions = {}) {
+        const { port = 9464, host, path: metricsPath = '/metrics', ...renderOptions } = serveOptions;
+        const handler = metricsHandler(renderOptions);
+
+        const server = http.createServer((req, res) => {
+            if ((req.url || '').split('?')[0] !== metricsPath) {
+                res.writeHead(404);
+                return res.end();
+            }
+            handler(req, res);
+        });
+        server.listen(port, host);
+        return server;
+    }
+
+    // Setup cleanup for error cache
+    function setupErrorCacheCleanup() {
+        if (errorCache.cleanup) {
+            clearInterval(errorCache.cleanup);
+        }
+
+        errorCache.cleanup = setInterval(() => {
+            const now = Date.now();
+            for (const [signature, entry] of errorCache.errors.entries()) {
+                if (now - entry.lastSeen > options.errorWindowMs) {
+                    errorCache.errors.delete(signature);
+                }
+            }
+        }, options.errorWindowMs / 2);
+
+        // Housekeeping only, never a reason to keep the process alive
+        errorCache.cleanup.unref();
+    }
+
+    // Initialize error cache cleanup
+    setupErrorCacheCleanup();
+
+    // Enhanced error logging with deduplication
+    function logError(message, error, namespace = 'default', fields = null) {
+        if (!options.deduplicateErrors) {
+            // Use original error logging
+            return log('error', message, error, namespace, fields);
+        }
+
+        const signature = getErrorSignature(error);
+        const now = Date.now();
+
+        if (!errorCache.errors.has(signature)) {
+            // First occurrence of this error
+            errorCache.errors.set(signature, {
+                count: 1,
+                firstSeen: now,
+                lastSeen: now,
+                message,
+                error
+            });
+
+            // Log normally
+            log('error', message, error, namespace, fields);
+        } else {
+            // We've seen this error before
+            const entry = errorCache.errors.get(signature);
+            entry.count++;
+            entry.lastSeen = now;
+
+            // Log differently based on count
+            if (entry.count <= options.maxDuplicateCount) {
+                // Log with duplicate counter
+                log('error', `${message} (${entry.count}x)`, error, namespace, fields);
+            } else if (entry.count === options.maxDuplicateCount + 1) {
+                // Final individual log before switching to summary mode
+                log('error', `${message} (${entry.count}x - further occurrences will be summarized)`, error, namespace, fields);
+            } else if ((entry.count - options.maxDuplicateCount) % 10 === 0) {
+                // Periodic summary
+                const timeSpan = prettyMs(now - entry.firstSeen);
+                log('error', `Error occurring frequently: ${message} (${entry.count}x in ${timeSpan})`, {
+                    summary: `Repeated error of type ${error.name || typeof error}`,
+                    firstSeen: new Date(entry.firstSeen).toISOString()
+                }, namespace, fields);
+            }
+        }
+    }
+
+    // Get error statistics
+    function getErrorStats() {
+        const stats = Array.from(errorCache.errors.entries()).map(([signature, entry]) => ({
+            signature: signature.substring(0, 100) + (signature.length > 100 ? '...' : ''),
+            count: entry.count,
+            firstSeen: new Date(entry.firstSeen).toISOString(),
+            lastSeen: new Date(entry.lastSeen).toISOString(),
+            message: entry.message
+        }));
+
+        return {
+            total: stats.reduce((sum, entry) => sum + entry.count, 0),
+            uniqueCount: stats.length,
+            errors: stats.sort((a, b) => b.count - a.count) // Sort by frequency
+        };
+    }
+
+    // Route native console methods through log(), at the level mapped to each method
+    let consolePatch = null;
+
+    function patchConsole(patchOptions = {}) {
+        if (consolePatch) {
+            return;
+        }
+        if (consoleOriginals) {
+            throw new Error('The console is already patched by another logger');
+        }
+
+        const { namespace = 'console', levels: methodLevels = {} } = patchOptions;
+        const mapping = { ...consoleMethodLevels, ...methodLevels };
+        Object.entries(mapping).forEach(([method, level]) => {
+            if (!(method in consoleMethodLevels)) {
+                throw new Error(`Cannot patch console.${method} (${Object.keys(consoleMethodLevels).join(', ')})`);
+            }
+            if (!isLevel(level, levels)) {
+                throw new Error(`Unknown log level "${level}" for console.${method} (${Object.keys(levels).join(', ')})`);
+            }
+        });
+
+        const patch = { active: false };
+        consoleOriginals = {};
+        Object.entries(mapping).forEach(([method, level]) => {
+            consoleOriginals[method] = console[method];
+            console[method] = (...args) => {
+                // Console calls made while logging (say, by a custom transport), or after close(), go straight out
+                if (patch.active || closed) {
+                    return nativeConsole(method)(...args);
+                }
+
+                // An Error argument becomes the metadata, the rest is formatted like console.log does
+                const error = args.find(arg => arg instanceof Error) || null;
+                const message = util.format(...args.filter(arg => arg !== error)) || (error ? error.message : '');
+
+                patch.active = true;
+                try {
+                    if (level === 'error') {
+                        logError(message, error, namespace);
+                    } else {
+                        log(level, message, error, namespace);
+                    }
+                } finally {
+                    patch.active = false;
+                }
+            };
+        });
+        consolePatch = patch;
+    }
+
+    // Put back the console methods replaced by patchConsole()
+    function unpatchConsole() {
+        if (!consolePatch) {
+            return;
+        }
+
+        Object.entries(consoleOriginals).forEach(([method, original]) => {
+            console[method] = original;
+        });
+        consoleOriginals = null;
+        consolePatch = null;
+    }
+
+    // Name of a transport in flush and close reports
+    function getTransportName(transport) {
+        const registered = Object.keys(transportRegistry).find(name => transportRegistry[name] === transport);
+        return registered || (transport.constructor && transport.constructor.name) || 'transport';
+    }
+
+    // Call the first of methods that each transport, the flight recorder file and each span exporter has,
+    // within timeoutMs, and report the ones that failed
+    async function settleTransports(methods, timeoutMs) {
+        const targets = [
+            ...getTransports().map(transport => [getTransportName(transport), transport]),
+            ...(recorderFile ? [['flightRecorder', recorderFile]] : []),
+            ...spanExporters.map(exporter => [getTransportName(exporter), exporter])
+        ];
+
+        const failures = [];
+        await Promise.all(targets.map(async ([name, target]) => {
+            const method = methods.find(candidate => typeof target[candidate] === 'function');
+            if (!method) {
+                return;
+            }
+
+            let timer = null;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+                timer.unref();
+            });
+            try {
+                await Promise.race([Promise.resolve().then(() => target[method]()), timeout]);
+                // Transports that retry in the background (like HttpTransport) keep their last failure
+                if (target.lastError) {
+                    throw target.lastError;
+                }
+            } catch (err) {
+                failures.push({ transport: name, error: err });
+                nativeConsole('error')(`Failed to ${methods[0]} the ${name} transport:`, err.message || err);
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+
+        return { ok: failures.length === 0, failures };
+    }
+
+    // Write out everything the transports hold, resolving with { ok, failures }
+    function flush(flushOptions = {}) {
+        const { timeout = 5000 } = flushOptions;
+        return settleTransports(['flush'], timeout);
+    }
+
+    // Flush and close every transport and stop internal timers; entries logged afterwards are dropped
+    let closing = null;
+
+    function close(closeOptions = {}) {
+        if (!closing) {
+            const { timeout = 5000 } = closeOptions;
+
+            // Last sampling summaries go out before the transports close
+            emitSuppressedSummary();
+            clearInterval(summaryTimer);
+            summaryTimer = null;
+            clearInterval(errorCache.cleanup);
+            clearTimeout(revertState.timer);
+            closed = true;
+            // Entries logged from now on are dropped, so the console must not be routed here anymore
+            unpatchConsole();
+
+            closing = settleTransports(['close', 'shutdown', 'flush'], timeout).then(report => {
+                recorderFile = null;
+                return report;
+            });
+        }
+        return closing;
+    }
+
+    // Close the logger on beforeExit, SIGINT and SIGTERM so that buffered entries are not lost
+    function enableShutdownHooks(hookOptions = {}) {
+        const settings = {
+            signals: ['SIGINT', 'SIGTERM'],
+            beforeExit: true,
+            timeout: 5000,           // How long to wait for transports
+            ...hookOptions
+        };
+
+        const onBeforeExit = () => {
+            close({ timeout: settings.timeout });
+        };
+        const onSignal = (signal) => {
+            // A second signal while shutting down gets the default behavior
+            remove();
+            close({ timeout: settings.timeout }).then(() => {
+                // Re-raise the signal for its default action, unless the application handles it itself
+                if (process.listenerCount(signal) === 0) {
+                    process.kill(process.pid, signal);
+                }
+            });
+        };
+
+        function remove() {
+            process.off('beforeExit', onBeforeExit);
+            settings.signals.forEach(signal => process.off(signal, onSignal));
+        }
+
+        if (settings.beforeExit) {
+            process.on('beforeExit', onBeforeExit);
+        }
+        settings.signals.forEach(signal => process.on(signal, onSignal));
+
+        return { remove };
+    }
+
+    // Log uncaught exceptions (fatal, then exit), unhandled rejections (error) and process warnings (warn)
+    function handleProcessErrors(handlerOptions = {}) {
+        const settings = {
+            namespace: 'process',
+            exitOnUncaught: true,    // Exit with code 1 after an uncaught exception, as Node would
+            exitOnRejection: true,   // Same after an unhandled rejection (a listener turns off Node's own exit)
+            flushTimeout: 2000,      // How long to wait for transports before exiting
+            ...handlerOptions
+        };
+
+        let exiting = false;
+        const exitAfterFlush = () => {
+            if (exiting) {
+                return;
+            }
+            exiting = true;
+            flush({ timeout: settings.flushTimeout }).then(() => process.exit(1));
+        };
+        const onUncaughtException = (err) => {
+            log('fatal', 'Uncaught exception', err, settings.namespace);
+            if (settings.exitOnUncaught) {
+                exitAfterFlush();
+            }
+        };
+        const onUnhandledRejection = (reason) => {
+            logError('Unhandled promise rejection', reason, settings.namespace);
+            if (settings.exitOnRejection) {
+                exitAfterFlush();
+            }
+        };
+        const onWarning = (warning) => {
+            log('warn', warning.message, { name: warning.name, code: warning.code }, settings.namespace);
+        };
+
+        process.on('uncaughtException', onUncaughtException);
+        process.on('unhandledRejection', onUnhandledRejection);
+        process.on('warning', onWarning);
+
+        return {
+            remove: () => {
+                process.off('uncaughtException', onUncaughtException);
+                process.off('unhandledRejection', onUnhandledRejection);
+                process.off('warning', onWarning);
+            }
+        };
+    }
+
+    // A method per level (return values are only logged by traced functions)
+    function createLevelMethods(namespace, fields) {
+        const methods = {};
+        Object.keys(levels).filter(level => level !== 'return').forEach(level => {
+            methods[level] = level === 'error'
+                ? (message, metadata) => logError(message, metadata, namespace, fields)
+                : (message, metadata) => log(level, message, metadata, namespace, fields);
+        });
+        return methods;
+    }
+
+    // Create namespaced logger, optionally with fields bound to every entry
+    function createNamespace(namespace, fields = null) {
+        return {
+            ...createLevelMethods(namespace, fields),
+            traceFn: (fn, traceOptions) => traceFn(fn, traceOptions, namespace, fields),
+            traceObject: (obj, traceOptions) => traceObject(obj, traceOptions, namespace, fields),
+            traceClass: (Class, traceOptions) => traceClass(Class, traceOptions, namespace, fields),
+            group: (name, fn, groupOptions) => group(name, fn, groupOptions, namespace, fields),
+            inspect: (obj, name) => inspect(obj, name, namespace, fields),
+            count: (name, increment, labels) => count(`${namespace}:${name}`, increment, labels),
+            gauge: (name, value, labels) => gauge(`${namespace}:${name}`, value, labels),
+            startTimer: (name, labels) => startTimer(`${namespace}:${name}`, labels),
+            recordValue: (name, value, labels) => recordValue(`${namespace}:${name}`, value, labels),
+            dumpBuffer: () => dumpBuffer(namespace),
+            child: (childFields) => createNamespace(namespace, { ...fields, ...childFields })
+        };
+    }
+
+    // Create the logger function
+    const dbg = (namespace) => createNamespace(namespace || 'default');
+
+    // Add methods to the function object
+    Object.assign(dbg, createLevelMethods('default', null), {
+        child: (fields) => createNamespace('default', fields),
+        traceFn,
+        traceObject,
+        traceClass,
+        group,
+        getActiveGroup,
+        inspect,
+        runWithContext,
+        getContext,
+        middleware,
+        startSpan,
+        withSpan,
+        getActiveSpan,
+        parseTraceparent,
+        injectTraceparent,
+        addSpanExporter,
+        removeSpanExporter,
+        OtlpExporter,
+        redact,
+        serialize,
+        setOptions,
+        setTemporaryOptions,
+        loadConfig,
+        enableControl,
+        setLevel,
+        addLevel,
+        setFormat,
+        setFormatFunction,
+        addTransport,
+        removeTransport,
+        dumpBuffer,
+        patchConsole,
+        unpatchConsole,
+        handleProcessErrors,
+        flush,
+        close,
+        enableShutdownHooks,
+        ConsoleTransport,
+        FileTransport,
+        HttpTransport,
+        WorkerTransport,
+        formatJson,
+        formatRecord,
+        createRecordFilter,
+        count,
+        resetCounter,
+        gauge,
+        recordValue,
+        startTimer,
+        recordTiming,
+        setBuckets,
+        getStats,
+        resetAllMetrics,
+        renderMetrics,
+        metricsHandler,
+        serveMetrics,
+        getErrorStats,
+        createLogger
+    });
+
+    // Options passed to createLogger override the defaults
+    applyDisplay();
+    setOptions(initialOptions, 'createLogger');
+
+    return dbg;
+}
+
+// This module is also the entry point of WorkerTransport threads
+if (!isMainThread && workerData && workerData.consoleGeniusWorker) {
+    runTransportWorker(workerData.consoleGeniusWorker);
+}
+
+export { createLogger, loadStartupConfig };
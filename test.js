@@ -1,3 +1,8 @@
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
 import dbg from './index.js';
 
 console.log('=== DEBUGGIFY PACKAGE COMPREHENSIVE TEST ===');
@@ -175,6 +180,325 @@ const complexObject = {
 };
 dbg.inspect(complexObject, 'Complex Object');
 
+// Structured JSON output
+console.log('\n12. JSON output tests:');
+dbg.setFormat('json');
+dbg.info('This message is a single NDJSON line', { orderId: 42 });
+dbg('payments').warn('Namespaced NDJSON line');
+dbg.setFormat('${emoji} ${level} ${timestamp} ${source} +${timeDiff} - ${message} ${metadata}');
+dbg.setFormatFunction((entry) => entry.formattedMessage);
+
+// File transport with rotation
+console.log('\n13. File rotation tests:');
+const fileTransport = new dbg.FileTransport('./logs/test.log', {
+    maxSize: '1k',
+    maxFiles: 2,
+    compress: true,
+    format: 'json'
+});
+dbg.setOptions({ transports: [fileTransport] });
+for (let i = 0; i < 50; i++) {
+    dbg.info('Rotating file line', { line: i });
+}
+dbg.setOptions({ transports: ['console'] });
+fileTransport.close();
+dbg.info('Wrote 50 lines to ./logs/test.log (rotated at 1k, 2 gzipped generations kept)');
+
+// Child loggers
+console.log('\n15. Child logger tests:');
+const requestLogger = dbg('api').child({ requestId: 'req-1' });
+const userRequestLogger = requestLogger.child({ userId: 123 });
+requestLogger.info('Child logger carries bound fields');
+userRequestLogger.warn('Nested child merges fields with metadata', { attempt: 2 });
+userRequestLogger.error('Errors keep their own key', new Error('Child error'));
+
+// Redaction
+console.log('\n17. Redaction tests:');
+dbg.setOptions({
+    redact: {
+        paths: ['*.password', 'headers.authorization'],
+        patterns: [/\b\d{16}\b/],
+        censor: '[REDACTED]'
+    }
+});
+dbg.info('Charging card 4111111111111111', {
+    user: { name: 'John', password: 'hunter2' },
+    headers: { authorization: 'Bearer secret', host: 'example.com' }
+});
+const login = dbg.traceFn(function login(credentials) {
+    return { user: credentials.user, token: 'abc' };
+});
+login({ user: 'john', password: 'hunter2' });
+dbg.inspect({ account: { password: 'hunter2' } }, 'Account');
+dbg.info('Redacted inside a Map', new Map([['alice', { password: 'hunter2' }], ['card', '4111111111111111']]));
+dbg.info('Redacted inside a Set', { cards: new Set(['4111111111111111', 'no card']) });
+dbg.setOptions({ redact: null });
+
+// Safe serialization
+console.log('\n18. Serializer tests:');
+const circular = { name: 'loop', tags: new Set(['a', 'b']), lookup: new Map([['id', 1n]]) };
+circular.self = circular;
+dbg.info('Circular and exotic metadata', circular);
+const rootCause = Object.assign(new Error('Connection refused'), { code: 'ECONNREFUSED' });
+dbg.setOptions({ deduplicateErrors: false });
+dbg.error('Error with cause', new Error('Query failed', { cause: rootCause }));
+dbg.info('Truncated metadata', dbg.serialize({ items: new Array(200).fill(0), text: 'x'.repeat(50) }, { maxArrayLength: 3, maxStringLength: 10 }));
+
+// Prometheus exposition
+console.log('\n19. Prometheus metrics tests:');
+dbg('db').count('queries', 3);
+dbg.count('http_requests', 1, { route: '/users', status: 200 });
+dbg.count('http_requests', 1, { route: '/users', status: 500 });
+dbg.setBuckets('render', [5, 10, 50]);
+dbg.recordTiming('render', 12, { view: 'home' });
+console.log(dbg.renderMetrics({ prefix: 'app_' }));
+
+// Tracing whole classes and objects
+console.log('\n21. Class and object tracing tests:');
+dbg.setOptions({ minLevel: 'trace' });
+class UserService {
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+
+    format(user, { upper = false } = {}) {
+        const name = `${this.prefix}${user.name}`;
+        return upper ? name.toUpperCase() : name;
+    }
+
+    get size() {
+        return 1;
+    }
+}
+dbg.traceClass(UserService);
+const service = new UserService('user:');
+service.format({ name: 'john' }, { upper: true });
+console.log(`Getter still works: ${service.size}`);
+
+const cache = dbg.traceObject({
+    get(key) {
+        return key.length;
+    },
+    clear() {}
+}, { exclude: ['clear'], maxLength: 20 });
+cache.get('a-very-long-cache-key-that-gets-truncated');
+cache.clear();
+dbg.setLevel('info');
+
+// Namespace globs and per-namespace levels
+console.log('\n22. Namespace filter tests:');
+dbg.setOptions({ enabledNamespaces: 'db:*=debug,http=warn,-db:noise,*=info' });
+dbg('db:query').debug('db:* is enabled down to debug');
+dbg('db:noise').error('Excluded namespaces are never shown');
+dbg('http').info('http info is below its warn level and hidden');
+dbg('http').warn('http warnings are shown');
+dbg('myhttp').info('myhttp does not match http, so *=info applies');
+dbg.setOptions({ enabledNamespaces: '*' });
+
+// Option validation
+console.log('\n23. Option validation tests:');
+try {
+    dbg.setOptions({ minLvl: 'debug' });
+} catch (err) {
+    console.log(`Rejected unknown option: ${err.message.split('.')[0]}`);
+}
+try {
+    dbg.setOptions({ minLevel: 'verbose' });
+} catch (err) {
+    console.log(`Rejected bad level: ${err.message}`);
+}
+try {
+    dbg.setOptions({ redact: { paths: 'password' } });
+} catch (err) {
+    console.log(`Rejected bad redact paths: ${err.message}`);
+}
+try {
+    dbg.setOptions({ serialize: { maxDepth: 'x' } });
+} catch (err) {
+    console.log(`Rejected bad serialize limits: ${err.message}`);
+}
+try {
+    dbg.setOptions({ minLevel: 'debug', redact: { patterns: ['(unclosed'] } });
+} catch (err) {
+    console.log(`Rejected bad redact pattern: ${err.message}`);
+}
+dbg.debug('Hidden: the rejected setOptions call left minLevel unchanged');
+
+// Config file and environment variables, each run in a fresh process
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'console-genius-config-'));
+const configEntry = new URL('./index.js', import.meta.url).href;
+const runWithConfig = (script, env = {}) => {
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: configDir,
+        env: { ...process.env, NO_COLOR: '1', CONSOLE_GENIUS_LEVEL: '', CONSOLE_GENIUS_NAMESPACES: '', CONSOLE_GENIUS_FORMAT: '', CONSOLE_GENIUS_CONFIG: '', ...env },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    console.log(output.trim().split('\n').map(line => `  ${line}`).join('\n'));
+};
+const logConfigLevels = `import dbg from '${configEntry}'; dbg.info('info shown'); dbg.warn('warn shown'); dbg.error('error shown');`;
+
+try {
+    fs.writeFileSync(path.join(configDir, 'console-genius.config.json'), JSON.stringify({ minLevel: 'warn', showSourceLocation: false, showTimestamp: false }));
+    console.log('- Config file (minLevel warn):');
+    runWithConfig(logConfigLevels);
+    console.log('- Environment over the config file (CONSOLE_GENIUS_LEVEL=info):');
+    runWithConfig(logConfigLevels, { CONSOLE_GENIUS_LEVEL: 'info' });
+    console.log('- Code over the environment (setOptions minLevel error):');
+    runWithConfig(`import dbg from '${configEntry}'; dbg.setOptions({ minLevel: 'error' }); dbg.warn('warn shown'); dbg.error('error shown');`, { CONSOLE_GENIUS_LEVEL: 'info' });
+    console.log('- Invalid value (CONSOLE_GENIUS_LEVEL=verbose) is reported, the import still works:');
+    runWithConfig(logConfigLevels, { CONSOLE_GENIUS_LEVEL: 'verbose' });
+
+    // A JS config may import the package itself; it is loaded by loadConfig()
+    fs.writeFileSync(path.join(configDir, 'app.config.mjs'), `import dbg from '${configEntry}';\nexport default { minLevel: 'error', showSourceLocation: false, showTimestamp: false };\n`);
+    console.log('- JS config through loadConfig():');
+    runWithConfig(`import dbg from '${configEntry}'; dbg.warn('warn before loadConfig'); await dbg.loadConfig(); dbg.warn('warn shown'); dbg.error('error shown');`, { CONSOLE_GENIUS_CONFIG: 'app.config.mjs' });
+} finally {
+    fs.rmSync(configDir, { recursive: true, force: true });
+}
+
+// Isolated instances
+console.log('\n25. Isolated logger instance tests:');
+const collected = [];
+const isolated = dbg.createLogger({
+    minLevel: 'debug',
+    format: 'json',
+    transports: [{ log: (logEntry) => collected.push(logEntry.formattedMessage) }]
+});
+isolated.debug('Only the isolated logger shows debug', { instance: 'isolated' });
+dbg.debug('The shared logger still hides debug');
+isolated('worker').count('jobs', 3);
+console.log('Isolated entries:', collected);
+console.log('Isolated counters:', isolated.getStats().counters);
+console.log('Shared logger has worker:jobs:', 'worker:jobs' in dbg.getStats().counters);
+
+// Per-transport levels, namespaces, filters and formatters
+console.log('\n26. Per-transport settings tests:');
+const alerts = [];
+const routed = dbg.createLogger({
+    minLevel: 'debug',
+    transports: [
+        new dbg.ConsoleTransport({ level: 'debug', formatter: '${level} ${namespace} ${message}' }),
+        {
+            log: (logEntry) => alerts.push(logEntry.formattedMessage),
+            level: 'error',
+            namespaces: 'payments',
+            filter: (logEntry) => !logEntry.message.includes('retrying'),
+            formatter: 'json'
+        }
+    ]
+});
+routed('payments').debug('Console only, below the alert level');
+routed('payments').error('Card declined', { orderId: 42 });
+routed('payments').error('Gateway timeout, retrying');
+routed('orders').error('Wrong namespace for alerts');
+console.log('Alerts:', alerts);
+try {
+    routed.addTransport({ log: () => {}, level: 'bogus' });
+} catch (err) {
+    console.log('Expected error:', err.message);
+}
+
+// Flight recorder
+console.log('\n27. Flight recorder tests:');
+const recorded = dbg.createLogger({ showSourceLocation: false, flightRecorder: { size: 2 } });
+recorded.debug('Hidden: dropped from the full buffer');
+recorded.debug('Hidden: loaded config');
+recorded.trace('Hidden: opened connection');
+recorded.error('Query failed, the two entries before it are replayed first');
+const attached = dbg.createLogger({ format: 'json', flightRecorder: { attach: true, perNamespace: true } });
+attached('db').debug('Buffered for db');
+attached('cache').debug('Buffered for cache');
+attached('db').error('Only the db buffer is attached');
+console.log(`Dumped ${attached('cache').dumpBuffer()} cache entry on demand`);
+const errorsOnly = dbg.createLogger({
+    showSourceLocation: false,
+    transports: [new dbg.ConsoleTransport({ level: 'error' })],
+    flightRecorder: { size: 5 }
+});
+errorsOnly.debug('Hidden: replayed, but below the transport level');
+errorsOnly.error('Only this reaches the error-level transport');
+
+// Sampling and rate limiting
+console.log('\n28. Sampling and rate limit tests:');
+const sampled = dbg.createLogger({
+    showSourceLocation: false,
+    sampling: {
+        rules: [
+            { namespaces: 'db', levels: 'info', maxPerSecond: 3 },
+            { namespaces: 'hot', sampleRate: 0 }
+        ]
+    }
+});
+for (let i = 0; i < 100; i++) {
+    sampled('db').info('Query ran', { i });
+    sampled('hot').info('Hot loop iteration');
+}
+sampled('hot').error('Errors are never sampled unless a rule names their level');
+// Turning sampling off logs the pending summaries right away
+sampled.setOptions({ sampling: null });
+// Namespaces built per request keep the filter cache and token buckets bounded
+let perRequestLogged = 0;
+const perRequest = dbg.createLogger({
+    enabledNamespaces: 'request:*',
+    sampling: { rules: [{ namespaces: 'request:*', maxPerSecond: 1 }] },
+    transports: [{ log: () => { perRequestLogged++; } }]
+});
+for (let i = 0; i < 2500; i++) {
+    perRequest(`request:${i}`).info('Handled');
+    perRequest(`request:${i}`).info('Rate limited');
+}
+console.log(`Logged ${perRequestLogged} of 5000 entries across 2500 namespaces`);
+perRequest.setOptions({ sampling: null });
+
+// Custom levels
+console.log('\n29. Custom level tests:');
+const leveled = dbg.createLogger({ showSourceLocation: false, minLevel: 'warn' });
+leveled.success('success is below warn and hidden');
+leveled.setLevel('trace');
+leveled.trace('setLevel accepts trace');
+leveled.addLevel('audit', { severity: 45, color: 'magenta', emoji: '📝' });
+leveled.setLevel('audit');
+leveled.warn('warn is below audit and hidden');
+leveled('billing').audit('Refund approved', { amount: 20 });
+leveled.error('Errors are above audit');
+
+console.log('\n30. Theme tests:');
+const themed = dbg.createLogger({ showSourceLocation: false, showTimestamp: false, color: 3, enableEmoji: false, theme: 'high-contrast' });
+themed.warn('High-contrast warning');
+themed.setOptions({ theme: 'monochrome' });
+themed.error('Monochrome error');
+themed.setOptions({ color: false, enableEmoji: 'auto', theme: { extends: 'monochrome', levels: { info: { ascii: '>' } } } });
+themed.info('Piped output gets ASCII badges');
+try {
+    themed.setOptions({ theme: 'neon' });
+} catch (err) {
+    console.log('Rejected:', err.message);
+}
+
+console.log('\n31. Reading logs back tests:');
+const reader = dbg.createLogger({ enableEmoji: false, color: false });
+const records = [
+    { time: '2026-01-01T10:00:00.000Z', level: 'info', namespace: 'default', source: 'app.js:3', msg: 'Started', metadata: { port: 3000 }, timeDiff: 0 },
+    { time: '2026-01-01T10:00:05.000Z', level: 'error', namespace: 'db:query', source: null, msg: 'Query failed', metadata: { table: 'users', err: { message: 'timeout' } }, timeDiff: 5000 },
+    { time: '2026-01-01T10:00:06.000Z', level: 'debug', namespace: 'db:pool', source: null, msg: 'Pool stats', metadata: { free: 2 }, timeDiff: 1000 }
+];
+const dbErrors = reader.createRecordFilter({ namespaces: 'db:*', level: 'warn', where: ['table=users'] });
+records.filter(dbErrors).forEach(record => console.log(reader.formatRecord(record)));
+const afterStart = reader.createRecordFilter({ since: '2026-01-01T10:00:01Z', where: 'free' });
+console.log('Records after start with a free field:', records.filter(afterStart).map(record => record.msg));
+const atLeastWarn = reader.createRecordFilter({ level: 'warn' });
+console.log('Unknown level passes a level filter:', atLeastWarn({ ...records[1], level: 'critical' }));
+
+console.log('\n32. Console patching tests:');
+const patched = dbg.createLogger({ showSourceLocation: false, minLevel: 'debug' });
+patched.patchConsole({ levels: { log: 'debug' } });
+console.log('Third-party output', { retries: 3 });
+console.error('Driver failed:', new Error('socket hang up'));
+console.warn('Deprecated call');
+patched.unpatchConsole();
+console.log('Native console.log again');
+
 // Run async tests
 async function runAsyncTests() {
     console.log('\nRunning async tests...');
@@ -193,6 +517,15 @@ async function runAsyncTests() {
     } catch (err) {
         dbg.fatal('Unexpected error in async tests', err);
     }
+
+    await runHttpTransportTests();
+    await runContextTests();
+    await runTracingTests();
+    await runControlTests();
+    await runProcessErrorTests();
+    await runShutdownTests();
+    await runWorkerTransportTests();
+    await runGroupTests();
     
     // Reset metrics at the end
     setTimeout(() => {
@@ -206,5 +539,257 @@ async function runAsyncTests() {
     }, 1000);
 }
 
+// HTTP transport against a local stand-in that is down at first
+async function runHttpTransportTests() {
+    console.log('\n14. HTTP transport tests:');
+    let available = false;
+    let received = 0;
+    let contentType = null;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!available) {
+                res.statusCode = 503;
+                return res.end();
+            }
+            received += body.trim().split('\n').length;
+            contentType = req.headers['content-type'];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const httpTransport = new dbg.HttpTransport(`http://127.0.0.1:${server.address().port}/logs`, {
+        format: 'json',
+        batchSize: 5,
+        maxQueueSize: 8,
+        backoff: { initialDelay: 50, maxDelay: 200 }
+    });
+    dbg.setOptions({ transports: [httpTransport] });
+    for (let i = 0; i < 10; i++) {
+        dbg.info('Shipped over HTTP', { line: i });
+    }
+    dbg.setOptions({ transports: ['console'] });
+
+    await delay(100);
+    available = true;
+    await delay(400);
+    await httpTransport.close();
+
+    dbg.info('HTTP transport delivered logs after the outage', {
+        received,
+        dropped: httpTransport.dropped
+    });
+
+    // A spool file that cannot be written drops the entries instead of crashing the process
+    available = false;
+    const unspoolable = new dbg.HttpTransport(`http://127.0.0.1:${server.address().port}/logs`, {
+        batchSize: 1,
+        spoolFile: './logs',
+        backoff: { initialDelay: 50, maxDelay: 200 }
+    });
+    dbg.setOptions({ transports: [unspoolable] });
+    dbg.info('Cannot be delivered or spooled');
+    await delay(100);
+    dbg.info('Spooled while backing off, which fails too');
+    await unspoolable.flush();
+    dbg.setOptions({ transports: ['console'] });
+    // With nothing left to send, the end of the backoff is not reported as a recovery
+    await delay(250);
+    await unspoolable.flush();
+    clearInterval(unspoolable.timer);
+    clearTimeout(unspoolable.retryTimer);
+    dbg.info('Entries dropped by the unwritable spool', { dropped: unspoolable.dropped, failures: unspoolable.failures });
+
+    // Without a format of its own, the transport follows the logger's
+    available = true;
+    const following = new dbg.HttpTransport(`http://127.0.0.1:${server.address().port}/logs`, { batchSize: 1 });
+    const jsonLogger = dbg.createLogger({ format: 'json', transports: [following] });
+    jsonLogger.info('Sent as NDJSON because the logger format is json');
+    await jsonLogger.close();
+    server.close();
+    dbg.info('HTTP transport used the logger format', { contentType });
+}
+
+// Request context propagation
+async function runContextTests() {
+    console.log('\n16. Request context tests:');
+    await dbg.runWithContext({ traceId: 'trace-1' }, async () => {
+        await delay(10);
+        dbg.info('Context survives async boundaries', dbg.getContext());
+    });
+
+    const server = http.createServer(dbg.middleware.http((req, res) => {
+        dbg.info('Handling request inside its context');
+        res.end('ok');
+    }));
+    await new Promise(resolve => server.listen(0, resolve));
+    await fetch(`http://127.0.0.1:${server.address().port}/users?page=2`, {
+        headers: { 'x-request-id': 'req-42' }
+    });
+    await delay(50);
+    server.close();
+}
+
+// Span-based tracing
+async function runTracingTests() {
+    console.log('\n20. Tracing tests:');
+    const exporter = {
+        spans: [],
+        export(spans) {
+            this.spans.push(...spans);
+        }
+    };
+    dbg.addSpanExporter(exporter);
+
+    const loadUser = dbg.traceFn(async function loadUser(id) {
+        await delay(10);
+        return { id };
+    });
+    const handleRequest = dbg.traceFn(async function handleRequest(id) {
+        return loadUser(id);
+    });
+    await handleRequest(7);
+    dbg.withSpan('incoming', (span) => {
+        span.setAttribute('peer', 'upstream');
+        dbg.info('Outgoing headers', dbg.injectTraceparent({}));
+    }, { parent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' });
+
+    dbg.removeSpanExporter(exporter);
+    exporter.spans.forEach(span => {
+        dbg.info(`Span ${span.name}`, {
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            status: span.status.code
+        });
+    });
+}
+
+// Runtime log-level control
+async function runControlTests() {
+    console.log('\n24. Runtime control tests:');
+    const control = dbg.enableControl({ port: 0, signal: null });
+    await new Promise(resolve => control.server.on('listening', resolve));
+    const endpoint = `http://127.0.0.1:${control.server.address().port}/options`;
+
+    await fetch(endpoint, {
+        method: 'PUT',
+        body: JSON.stringify({ minLevel: 'debug', enabledNamespaces: 'db=debug,*', revertAfterMs: 100 })
+    });
+    dbg('db').debug('Debug enabled at runtime for db');
+    await delay(150);
+    dbg('db').debug('This debug message should not be displayed after the revert');
+    const current = await (await fetch(endpoint)).json();
+    dbg.info('Options after the automatic revert', current.options.minLevel);
+    await control.close();
+}
+
+// Process-level errors
+async function runProcessErrorTests() {
+    console.log('\n33. Process error tests:');
+    const handler = dbg.handleProcessErrors({ exitOnUncaught: false, exitOnRejection: false });
+    process.emitWarning('Legacy option used', 'DeprecationWarning');
+    Promise.reject(new Error('Nobody handled this'));
+    await delay(20);
+    handler.remove();
+
+    // With the defaults the rejection is logged as an error and the process exits with code 1
+    const script = `import dbg from '${new URL('./index.js', import.meta.url).href}';
+        dbg.setOptions({ showSourceLocation: false, showTimestamp: false });
+        dbg.handleProcessErrors();
+        Promise.reject(new Error('Rejected in a child process'));`;
+    const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', timeout: 10000 });
+    console.log(`Child exited with code ${child.status}: ${(child.stdout + child.stderr).trim().split('\n')[0]}`);
+}
+
+// Flushing and closing transports
+async function runShutdownTests() {
+    console.log('\n34. Flush and close tests:');
+    fs.rmSync('./logs/shutdown.log', { force: true });
+    const fileTransport = new dbg.FileTransport('./logs/shutdown.log', { format: 'json' });
+    const closing = dbg.createLogger({ transports: ['console', fileTransport], showSourceLocation: false });
+    closing.info('Written before the flush');
+    console.log('Flush report:', await closing.flush({ timeout: 1000 }));
+    closing.info('Written before close, which drains it');
+    console.log('Close report:', await closing.close());
+    closing.info('Dropped after close');
+    console.log('Lines in the file:', fs.readFileSync('./logs/shutdown.log', 'utf8').trim().split('\n').length);
+
+    // A file transport without a format of its own follows the logger's
+    fs.rmSync('./logs/logger-format.log', { force: true });
+    const jsonLogger = dbg.createLogger({ format: 'json', transports: [new dbg.FileTransport('./logs/logger-format.log')] });
+    jsonLogger.info('Written as NDJSON because the logger format is json');
+    await jsonLogger.close();
+    console.log('File line:', fs.readFileSync('./logs/logger-format.log', 'utf8').trim());
+
+    // The logger's serialize limits apply to file transports too
+    fs.rmSync('./logs/serialize-limits.log', { force: true });
+    const limited = dbg.createLogger({
+        serialize: { maxStringLength: 10 },
+        transports: [new dbg.FileTransport('./logs/serialize-limits.log')]
+    });
+    limited.info('Long metadata is truncated in the file', { text: 'x'.repeat(50) });
+    await limited.close();
+    console.log('File line:', fs.readFileSync('./logs/serialize-limits.log', 'utf8').trim());
+
+    // Closing a logger gives the console back
+    const patching = dbg.createLogger({ showSourceLocation: false });
+    patching.patchConsole();
+    const patchedLog = console.log;
+    await patching.close();
+    console.log('console.log is native again after close:', console.log !== patchedLog);
+    patchedLog('A saved reference to the patched method still prints');
+}
+
+// Transports running on a worker thread
+async function runWorkerTransportTests() {
+    console.log('\n35. Worker transport tests:');
+    fs.rmSync('./logs/worker.log', { force: true });
+    const workerTransport = new dbg.WorkerTransport({
+        transports: [{ type: 'file', path: './logs/worker.log', format: 'json' }],
+        bufferSize: 100,
+        batchSize: 10
+    });
+    const offloaded = dbg.createLogger({ transports: [workerTransport] });
+    for (let i = 0; i < 250; i++) {
+        offloaded('jobs').info('Job finished', { job: i });
+    }
+    console.log('Close report:', await offloaded.close());
+    const lines = fs.readFileSync('./logs/worker.log', 'utf8').trim().split('\n');
+    console.log('Lines written by the worker:', lines.length, 'dropped:', workerTransport.dropped);
+    console.log('Last line:', lines[lines.length - 1]);
+}
+
+// Groups across async work
+async function runGroupTests() {
+    console.log('\n36. Structured group tests:');
+    const grouped = dbg.createLogger({ showSourceLocation: false, showTimestamp: false, minLevel: 'debug' });
+    await Promise.all(['a', 'b'].map(id => grouped.group(`job ${id}`, async () => {
+        grouped.info(`Started job ${id}`);
+        await delay(id === 'a' ? 20 : 5);
+        await grouped.group('save', () => grouped.debug(`Saved job ${id}`));
+    })));
+    grouped.group('Warm cache', () => grouped.info('Hidden on the console'), { collapsed: true });
+    try {
+        await grouped.group('Migrate', async () => {
+            grouped.info('Shown because the group failed');
+            throw new Error('Migration failed');
+        }, { collapsed: true });
+    } catch (err) {
+        console.log('Rethrown:', err.message);
+    }
+    grouped.setOptions({ format: 'json' });
+    grouped('db').group('query', () => grouped('db').info('Inside a group'));
+
+    // Groups belong to the logger that opened them
+    const other = dbg.createLogger({ format: 'json', showSourceLocation: false });
+    const open = grouped.group('Only in the first logger');
+    other.info('Logged by another logger, outside any group');
+    open.end();
+}
+
 // Run everything
 runAsyncTests();
\ No newline at end of file